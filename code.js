@@ -1,12 +1,318 @@
 // GAP Audit & Token Manager - Figma Plugin
-// Audits and manages the GAP (itemSpacing) value of Frames/AutoLayouts
+// Audits and manages the GAP (itemSpacing), padding and corner radius values of Frames/AutoLayouts
 // Allows linking GAP values to Design Tokens (Variables) for consistent spacing
 
+// Default plugin configuration
+const DEFAULT_CONFIG = {
+  // Maximum distance between a hardcoded gap and a suggested token
+  // mode: 'absolute' (px) or 'percent' (of the gap value)
+  snapTolerance: {
+    mode: 'absolute',
+    value: 2
+  },
+  // Which tokens can be offered and bound
+  // respectScopes: only variables whose scopes include the property (GAP, CORNER_RADIUS) or ALL_SCALARS/ALL_SCOPES
+  // collections: allowed collection IDs (empty = all), namePatterns: allowed name globs like "spacing/*" (empty = all)
+  tokenFilter: {
+    respectScopes: true,
+    collections: [],
+    namePatterns: []
+  },
+  // Collection preselected when creating a new token (null = none)
+  defaultCollectionId: null,
+  // Name proposed for new tokens: {value} is the gap value, {property} the property (itemSpacing, paddingLeft…)
+  namingTemplate: 'gap/{value}',
+  // Nodes whose name matches one of these globs (and their children) are skipped by scans
+  ignoredNodePatterns: [],
+  // Spacing lint rules checked on every audit (see lintAuditResults)
+  // Each rule can be turned off and has a severity: 'error', 'warning' or 'info'
+  lintRules: {
+    'off-grid': { enabled: true, severity: 'warning' },
+    'sibling-tokens': { enabled: true, severity: 'info' },
+    'nested-gap': { enabled: true, severity: 'warning' },
+    'primitive-token': { enabled: true, severity: 'warning' },
+    'space-between-gap': { enabled: true, severity: 'info' }
+  },
+  // Grid (px) the 'off-grid' rule checks values against
+  lintGrid: 4,
+  // Token names (globs) the 'primitive-token' rule treats as primitives
+  primitiveTokenPatterns: ['core/*']
+};
+
+const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+// Team configuration is stored in the document (shared plugin data), personal configuration in clientStorage
+const CONFIG_NAMESPACE = 'gap_to_token';
+const CONFIG_KEY = 'config';
+
+// Stored values (only the settings that were saved); personal values override the team ones
+let teamConfig = {};
+let userConfig = {};
+
+// Current plugin configuration: defaults + team config + personal config
+let pluginConfig = Object.assign({}, DEFAULT_CONFIG);
+
 // Helper: Check if node is Frame or AutoLayout
 function isFrameOrAutoLayout(node) {
   return node && ['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE'].includes(node.type);
 }
 
+// Helper: Check if node is a Frame/AutoLayout with Auto Layout enabled
+function hasAutoLayout(node) {
+  return isFrameOrAutoLayout(node) && !!node.layoutMode && node.layoutMode !== 'NONE';
+}
+
+// Plugin data key of audit exceptions: JSON { reason, subtree, date }
+// subtree: the exception also covers every descendant of the node
+const EXCEPTION_DATA_KEY = 'gapIgnore';
+
+// Helper: Read the audit exception stored on a node (null if it has none)
+function getNodeException(node) {
+  if (!node || typeof node.getPluginData !== 'function') return null;
+  const stored = node.getPluginData(EXCEPTION_DATA_KEY);
+  if (!stored) return null;
+  try {
+    const data = JSON.parse(stored);
+    return {
+      reason: data && data.reason ? String(data.reason) : '',
+      subtree: !!(data && data.subtree),
+      date: data && data.date ? data.date : null
+    };
+  } catch (e) {
+    // Unreadable data still marks the node as an exception
+    return { reason: '', subtree: false, date: null };
+  }
+}
+
+// Helper: Find the exception that applies to a node: its own or the subtree exception of an ancestor
+// Returns { node, exception } where node is the node holding the exception, or null
+function getAppliedException(node) {
+  let current = node;
+  while (current && current.type !== 'PAGE' && current.type !== 'DOCUMENT') {
+    const exception = getNodeException(current);
+    if (exception && (current === node || exception.subtree)) {
+      return { node: current, exception: exception };
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+// Helper: Serialize an exception for the UI and the audit report
+function createExceptionEntry(node, exception, page) {
+  return {
+    nodeId: node.id,
+    nodeName: node.name,
+    nodeType: node.type,
+    pageId: page ? page.id : null,
+    pageName: page ? page.name : null,
+    reason: exception.reason,
+    subtree: exception.subtree,
+    date: exception.date
+  };
+}
+
+// Helper: Collect every auto-layout node in the given subtrees (roots included)
+// Nodes are returned in document order and only once, even if roots overlap
+// Nodes marked as exceptions are not returned; when an exceptions array is given they are added to it
+// as { node, exception } (once per node holding the exception)
+function collectAutoLayoutNodes(roots, exceptions) {
+  const nodes = [];
+  const visited = {};
+  const reported = {};
+  const stack = roots.slice().reverse();
+  const rootIds = {};
+  roots.forEach(root => {
+    if (root) rootIds[root.id] = true;
+  });
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || visited[node.id]) continue;
+    visited[node.id] = true;
+
+    // Ignored nodes are skipped together with their children
+    if (isIgnoredNode(node)) continue;
+
+    // Roots can also be inside the subtree exception of an ancestor
+    const applied = rootIds[node.id] ? getAppliedException(node) : null;
+    const exception = applied ? applied.exception : getNodeException(node);
+    if (exception) {
+      const holder = applied ? applied.node : node;
+      if (exceptions && !reported[holder.id] && (exception.subtree || hasAutoLayout(node))) {
+        reported[holder.id] = true;
+        exceptions.push({ node: holder, exception: exception });
+      }
+      if (exception.subtree) continue;
+    } else if (hasAutoLayout(node)) {
+      nodes.push(node);
+    }
+
+    if ('children' in node && node.children) {
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push(node.children[i]);
+      }
+    }
+  }
+
+  return nodes;
+}
+
+// Spacing properties audited and linked by the plugin
+// Each property lists the bindable node fields it reads and writes
+const SPACING_PROPERTIES = [
+  { property: 'itemSpacing', label: 'GAP', fields: ['itemSpacing'], scope: 'GAP' },
+  { property: 'counterAxisSpacing', label: 'GAP entre filas', fields: ['counterAxisSpacing'], scope: 'GAP' },
+  { property: 'paddingTop', label: 'Padding superior', fields: ['paddingTop'], scope: 'GAP' },
+  { property: 'paddingRight', label: 'Padding derecho', fields: ['paddingRight'], scope: 'GAP' },
+  { property: 'paddingBottom', label: 'Padding inferior', fields: ['paddingBottom'], scope: 'GAP' },
+  { property: 'paddingLeft', label: 'Padding izquierdo', fields: ['paddingLeft'], scope: 'GAP' },
+  { property: 'cornerRadius', label: 'Radio de esquina', fields: ['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius'], scope: 'CORNER_RADIUS' }
+];
+
+// Groups of properties that can be linked to one token at once
+const PROPERTY_GROUPS = {
+  padding: {
+    label: 'Padding',
+    properties: ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+  }
+};
+
+// Helper: Get the definition of a spacing property
+function getSpacingProperty(property) {
+  return SPACING_PROPERTIES.find(d => d.property === property) || null;
+}
+
+// Helper: Get the definitions linked by a property or a property group
+function getLinkProperties(gapType) {
+  if (PROPERTY_GROUPS[gapType]) {
+    return PROPERTY_GROUPS[gapType].properties.map(getSpacingProperty);
+  }
+  const definition = getSpacingProperty(gapType);
+  return definition ? [definition] : [];
+}
+
+// Helper: Get the user-facing label of a property or a property group
+function getLinkLabel(gapType) {
+  if (PROPERTY_GROUPS[gapType]) {
+    return PROPERTY_GROUPS[gapType].label;
+  }
+  const definition = getSpacingProperty(gapType);
+  return definition ? definition.label : gapType;
+}
+
+// Helper: Convert a name pattern ("spacing/*", "space/?") into a regular expression
+// '*' matches any characters (including '/'), '?' matches one character
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[\\^$+.()|[\]{}]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp('^' + source + '$', 'i');
+}
+
+// Helper: Check whether a node name matches one of the ignored node patterns of the configuration
+function isIgnoredNode(node) {
+  const patterns = pluginConfig.ignoredNodePatterns || [];
+  if (!node || !node.name || patterns.length === 0) return false;
+  return patterns.some(pattern => globToRegExp(pattern).test(node.name));
+}
+
+// Helper: Check a token against the token filter for a property or property group
+// token: { name, collectionId, collectionName, scopes }. Returns null when allowed, otherwise the reason
+function getTokenRuleViolation(token, gapType) {
+  const filter = pluginConfig.tokenFilter || DEFAULT_CONFIG.tokenFilter;
+  const definitions = getLinkProperties(gapType);
+
+  // Library variables that are not imported yet have no scopes: they can't be checked
+  if (filter.respectScopes && Array.isArray(token.scopes) && definitions.length > 0) {
+    const allScopes = token.scopes.indexOf('ALL_SCOPES') !== -1 || token.scopes.indexOf('ALL_SCALARS') !== -1;
+    const missing = definitions.find(d => token.scopes.indexOf(d.scope) === -1);
+    if (!allScopes && missing) {
+      return `El token no tiene el scope ${missing.scope}`;
+    }
+  }
+
+  if (filter.collections && filter.collections.length > 0 && filter.collections.indexOf(token.collectionId) === -1) {
+    return 'La colección del token no está permitida';
+  }
+
+  if (filter.namePatterns && filter.namePatterns.length > 0) {
+    const fullPath = token.collectionName ? `${token.collectionName}/${token.name}` : token.name;
+    const matches = filter.namePatterns.some(pattern => {
+      const regExp = globToRegExp(pattern);
+      return regExp.test(token.name) || regExp.test(fullPath);
+    });
+    if (!matches) {
+      return 'El nombre del token no sigue los patrones permitidos';
+    }
+  }
+
+  return null;
+}
+
+// Helper: Check whether a token is allowed for at least one spacing property (see getTokenRuleViolation)
+function isSpacingToken(token) {
+  return SPACING_PROPERTIES.some(definition => !getTokenRuleViolation(token, definition.property));
+}
+
+// Helper: Keep only the tokens allowed for a property (see getTokenRuleViolation)
+function getAllowedTokens(tokens, gapType) {
+  return tokens.filter(token => !getTokenRuleViolation(token, gapType));
+}
+
+// Helper: List the properties and property groups each token can be bound to (used by the UI to filter lists)
+function annotateAllowedProperties(tokens) {
+  const gapTypes = SPACING_PROPERTIES.map(d => d.property).concat(Object.keys(PROPERTY_GROUPS));
+  tokens.forEach(token => {
+    token.allowedFor = gapTypes.filter(gapType => !getTokenRuleViolation(token, gapType));
+  });
+  return tokens;
+}
+
+// Helper: Check if a property applies to a node
+// counterAxisSpacing only exists on wrapped layouts (it is null otherwise)
+function isPropertyApplicable(node, definition) {
+  if (!hasAutoLayout(node)) {
+    return false;
+  }
+  if (definition.property === 'counterAxisSpacing' && node.layoutWrap !== 'WRAP') {
+    return false;
+  }
+  return definition.fields.every(field => typeof node[field] === 'number');
+}
+
+// Helper: Read the bound variable alias of a node field (avoid optional chaining)
+function getBoundAlias(node, field) {
+  const bound = node.boundVariables && node.boundVariables[field];
+  if (!bound) {
+    return null;
+  }
+
+  // Handle array or single object
+  let alias = null;
+  if (Array.isArray(bound) && bound.length > 0) {
+    alias = bound[0];
+  } else if (bound.type === 'VARIABLE_ALIAS') {
+    alias = bound;
+  }
+
+  return alias && alias.type === 'VARIABLE_ALIAS' && alias.id ? alias : null;
+}
+
+// Helper: Get the variable modes a node uses, by collection ID (explicit or inherited)
+function getNodeVariableModes(node) {
+  try {
+    return Object.assign({}, node.resolvedVariableModes || node.explicitVariableModes || {});
+  } catch (e) {
+    return {};
+  }
+}
+
 // Helper: Create gapInfo object with default values
 function createGapInfo(node) {
   return {
@@ -20,7 +326,9 @@ function createGapInfo(node) {
     itemSpacingTokenValue: null,
     itemSpacingTokenId: null,
     itemSpacingTokenFullPath: null,
-    itemSpacingTokenCollectionPath: null
+    itemSpacingTokenCollectionPath: null,
+    variableModes: getNodeVariableModes(node),
+    properties: []
   };
 }
 
@@ -95,8 +403,269 @@ async function getAllVariableCollections() {
   }
 }
 
-// Helper: Get gap information from node (only itemSpacing/GAP)
-// Logic: 1. Check Auto Layout, 2. Read itemSpacing, 3. Check if tokenized
+// Cache for library (remote) collections imported into the file, by ID
+let remoteCollectionsCache = {};
+
+// Helper: Find a collection by ID: local collections first, then collections of imported library variables
+async function getCollectionById(collectionId, collections) {
+  if (!collectionId) {
+    return null;
+  }
+
+  const local = collections.find(c => c.id === collectionId);
+  if (local) {
+    return local;
+  }
+
+  if (remoteCollectionsCache[collectionId] === undefined) {
+    try {
+      remoteCollectionsCache[collectionId] = await figma.variables.getVariableCollectionByIdAsync(collectionId) || null;
+    } catch (e) {
+      remoteCollectionsCache[collectionId] = null;
+    }
+  }
+  return remoteCollectionsCache[collectionId];
+}
+
+// Helper: Check whether a variable ID belongs to a team library variable ("VariableID:<key>/<id>")
+function isLibraryVariableId(variableId) {
+  return typeof variableId === 'string' && variableId.indexOf('/') !== -1;
+}
+
+// Helper: Check whether the library of a remote collection is still enabled in this file
+// When the enabled libraries can't be read (no team library API, offline…) the library is assumed to be enabled
+async function isLibraryEnabled(collection) {
+  if (!collection || !collection.key) {
+    return true;
+  }
+  const libraryCollections = await getLibraryCollections();
+  return !libraryCollections || libraryCollections.some(c => c.key === collection.key);
+}
+
+// Helper: Classify a bound variable that can't give a spacing value
+// Returns { error, brokenType } or an empty object when the binding is valid. brokenType is one of
+// 'library-unavailable', 'type-mismatch' or 'unresolved-alias' ('deleted' is set by resolveBoundToken)
+async function getBrokenBinding(variable, collection, aliasInfo) {
+  if (variable.remote && (!collection || !(await isLibraryEnabled(collection)))) {
+    return { error: 'La librería del token no está activada en este archivo', brokenType: 'library-unavailable' };
+  }
+  if (variable.resolvedType && variable.resolvedType !== 'FLOAT') {
+    return { error: `El token es de tipo ${variable.resolvedType}, no numérico`, brokenType: 'type-mismatch' };
+  }
+  if (aliasInfo && aliasInfo.error) {
+    return { error: aliasInfo.error, brokenType: 'unresolved-alias' };
+  }
+  return {};
+}
+
+// Helper: Resolve a bound variable into token information (name, value, id and full path)
+// The value is the one for the mode the node uses; every mode value is included for preview
+async function resolveBoundToken(variableId, node) {
+  try {
+    // Use async method for dynamic-page access
+    const variable = await figma.variables.getVariableByIdAsync(variableId);
+
+    if (!variable) {
+      // Library variables have IDs like "VariableID:<key>/<id>": the library was removed or unpublished
+      return isLibraryVariableId(variableId)
+        ? { error: 'La librería del token ya no está disponible', brokenType: 'library-unavailable' }
+        : { error: 'Variable no encontrada', brokenType: 'deleted' };
+    }
+
+    // Get collection name using async method
+    let collectionName = null;
+    let collection = null;
+    let collections = [];
+    if (variable.variableCollectionId) {
+      try {
+        collections = await getAllVariableCollections();
+        collection = await getCollectionById(variable.variableCollectionId, collections);
+        if (collection) {
+          collectionName = collection.name || null;
+        }
+      } catch (e) {
+        // If collection lookup fails, use ID as fallback
+        collectionName = variable.variableCollectionId;
+      }
+    }
+
+    // Resolver valor según el mode activo del nodo
+    let resolvedValue = null;
+    let modeId = null;
+    let modeName = null;
+    let modeValues = [];
+    let aliasInfo = null;
+    if (collection) {
+      modeValues = await getVariableModeValues(variable, collection, collections, getNodeVariableModes(node));
+      modeId = getNodeModeId(node, collection);
+      const modeValue = modeValues.find(m => m.modeId === modeId);
+      if (modeValue) {
+        resolvedValue = modeValue.value;
+        modeName = modeValue.modeName;
+        aliasInfo = modeValue.aliasInfo;
+      }
+    }
+    if (typeof resolvedValue !== 'number' && !aliasInfo) {
+      resolvedValue = getVariableValue(variable);
+    }
+
+    // Build full path
+    const fullPath = collectionName 
+      ? `${collectionName}/${variable.name}`
+      : (variable.variableCollectionId ? `${variable.variableCollectionId}/${variable.name}` : variable.name);
+
+    // Bindings that can't give a spacing value are reported as an error (see getBrokenBinding)
+    return Object.assign({
+      token: variable.name,
+      tokenValue: typeof resolvedValue === 'number' ? resolvedValue : null,
+      tokenId: variable.id,
+      tokenFullPath: fullPath,
+      tokenCollectionPath: collectionName || variable.variableCollectionId || null,
+      tokenModeId: modeId,
+      tokenModeName: modeName,
+      tokenModeValues: modeValues.length > 1 ? modeValues : null,
+      tokenAliasPath: aliasInfo && aliasInfo.path ? aliasInfo.path.map(step => step.fullPath) : null,
+      tokenOrigin: variable.remote ? 'library' : 'local',
+      tokenCollectionId: variable.variableCollectionId || null,
+      tokenScopes: Array.isArray(variable.scopes) ? variable.scopes : null
+    }, await getBrokenBinding(variable, collection, aliasInfo));
+  } catch (e) {
+    return {
+      error: 'Error al resolver el token: ' + (e.message || e.toString())
+    };
+  }
+}
+
+// Helper: Get the information of one spacing property: current value and bound token
+// Returns null when the property does not apply to the node or its fields are mixed
+// (e.g. corners with different radii or bound to different tokens)
+async function getPropertyInfo(node, definition) {
+  if (!isPropertyApplicable(node, definition)) {
+    return null;
+  }
+
+  const value = node[definition.fields[0]];
+  const alias = getBoundAlias(node, definition.fields[0]);
+  const aliasId = alias ? alias.id : null;
+
+  for (let i = 1; i < definition.fields.length; i++) {
+    const fieldAlias = getBoundAlias(node, definition.fields[i]);
+    if (node[definition.fields[i]] !== value || (fieldAlias ? fieldAlias.id : null) !== aliasId) {
+      return null;
+    }
+  }
+
+  const info = {
+    property: definition.property,
+    label: definition.label,
+    value: value,
+    token: null,
+    tokenValue: null,
+    tokenId: null,
+    tokenFullPath: null,
+    tokenCollectionPath: null
+  };
+
+  if (aliasId) {
+    Object.assign(info, await resolveBoundToken(aliasId, node));
+
+    // Bound tokens that break the token filter (wrong scope, collection or name) are flagged
+    if (info.token && !info.error) {
+      info.ruleViolation = getTokenRuleViolation({
+        name: info.token,
+        collectionId: info.tokenCollectionId,
+        collectionName: info.tokenCollectionPath,
+        scopes: info.tokenScopes
+      }, definition.property);
+    }
+  }
+
+  info.status = getGapStatus(info);
+  return info;
+}
+
+// Helper: Find the layer of the main component an instance (or a layer inside an instance) comes from
+// Layers inside instances have IDs like "I12:34;56:78": without the first part (the outer instance) it is the
+// layer in the immediate main component, itself inside a nested instance when more parts remain ("I56:78;90:12")
+async function getMainCounterpart(node) {
+  try {
+    if (typeof node.id === 'string' && node.id.charAt(0) === 'I' && node.id.indexOf(';') !== -1) {
+      const segments = node.id.slice(1).split(';').slice(1);
+      return await figma.getNodeByIdAsync(segments.length > 1 ? 'I' + segments.join(';') : segments[0]);
+    }
+    if (node.type === 'INSTANCE') {
+      return await node.getMainComponentAsync();
+    }
+  } catch (e) {
+    // The main component can't be read (for example, a deleted library component)
+  }
+  return null;
+}
+
+// Helper: Check whether a node belongs to a component of a team library (read-only in this file)
+function isRemoteNode(node) {
+  let current = node;
+  while (current && current.type !== 'PAGE' && current.type !== 'DOCUMENT') {
+    if ((current.type === 'COMPONENT' || current.type === 'COMPONENT_SET') && current.remote) {
+      return true;
+    }
+    current = current.parent;
+  }
+  return false;
+}
+
+// Helper: Compare a property of an instance layer with its main component
+// 'override' when the binding or (for unbound fields) the value differs, otherwise 'inherited'
+function getOverrideState(node, main, definition) {
+  for (let i = 0; i < definition.fields.length; i++) {
+    const field = definition.fields[i];
+    const alias = getBoundAlias(node, field);
+    const mainAlias = getBoundAlias(main, field);
+    if (alias || mainAlias) {
+      if (!alias || !mainAlias || alias.id !== mainAlias.id) return 'override';
+    } else if (node[field] !== main[field]) {
+      return 'override';
+    }
+  }
+  return 'inherited';
+}
+
+// Helper: Mark each property of an instance layer as inherited from the main component or overridden
+// Adds gapInfo.mainComponent and, per property, inheritance plus the main component value and token
+async function addInstanceInfo(node, gapInfo) {
+  const main = await getMainCounterpart(node);
+  if (!main) return;
+
+  const page = getNodePage(main);
+  gapInfo.mainComponent = {
+    nodeId: main.id,
+    name: getComponentName(main) || main.name,
+    pageName: page ? page.name : null,
+    remote: isRemoteNode(main)
+  };
+
+  for (let i = 0; i < gapInfo.properties.length; i++) {
+    const info = gapInfo.properties[i];
+    const definition = getSpacingProperty(info.property);
+    if (!definition || !isPropertyApplicable(main, definition)) continue;
+
+    info.inheritance = getOverrideState(node, main, definition);
+    info.mainValue = main[definition.fields[0]];
+    info.mainToken = null;
+    const mainAlias = getBoundAlias(main, definition.fields[0]);
+    if (mainAlias) {
+      try {
+        const variable = await figma.variables.getVariableByIdAsync(mainAlias.id);
+        info.mainToken = variable ? variable.name : null;
+      } catch (e) {
+        info.mainToken = null;
+      }
+    }
+  }
+}
+
+// Helper: Get gap information from node (itemSpacing/GAP plus every other spacing property)
+// Logic: 1. Check Auto Layout, 2. Read each property, 3. Check if tokenized
 async function getGapInfo(node) {
   // Validate node type
   if (!isFrameOrAutoLayout(node)) {
@@ -118,95 +687,222 @@ async function getGapInfo(node) {
     };
   }
 
-  // Step 2: Read itemSpacing and initialize gapInfo
+  // Step 2: Read every spacing property and initialize gapInfo
   const gapInfo = createGapInfo(node);
+  for (let i = 0; i < SPACING_PROPERTIES.length; i++) {
+    const info = await getPropertyInfo(node, SPACING_PROPERTIES[i]);
+    if (info) {
+      gapInfo.properties.push(info);
+    }
+  }
+
+  // Step 3: Keep the itemSpacing token in the top-level fields
+  // CASO 1: GAP VINCULADO A TOKEN / CASO 2: GAP SIN TOKEN (hardcoded)
+  const gap = gapInfo.properties.find(p => p.property === 'itemSpacing');
+  if (gap) {
+    gapInfo.itemSpacingToken = gap.token;
+    gapInfo.itemSpacingTokenValue = gap.tokenValue;
+    gapInfo.itemSpacingTokenId = gap.tokenId;
+    gapInfo.itemSpacingTokenFullPath = gap.tokenFullPath;
+    gapInfo.itemSpacingTokenCollectionPath = gap.tokenCollectionPath;
+    gapInfo.itemSpacingTokenModeName = gap.tokenModeValues ? gap.tokenModeName : null;
+    gapInfo.itemSpacingTokenOrigin = gap.token ? gap.tokenOrigin : null;
+    gapInfo.itemSpacingError = gap.error || null;
+  }
+
+  // Step 4: Instances (and layers inside them) are compared with their main component
+  await addInstanceInfo(node, gapInfo);
+
+  return gapInfo;
+}
+
+// Helper: Classify a spacing property as 'tokenized', 'hardcoded' or 'broken' (binding that cannot be resolved,
+// info.brokenType tells why)
+function getGapStatus(info) {
+  if (info.error) {
+    return 'broken';
+  }
+  return info.token ? 'tokenized' : 'hardcoded';
+}
+
+// Helper: Check if a property should appear in audits
+// Unbound paddings, radii and row gaps set to 0 are not spacing decisions, so they are left out
+function isAuditableProperty(info) {
+  return info.property === 'itemSpacing' || info.status !== 'hardcoded' || info.value !== 0;
+}
+
+// Helper: Get the component a node belongs to (itself or its nearest component/instance ancestor)
+// Variants are reported under their component set name
+function getComponentName(node) {
+  let current = node;
+  while (current && current.type !== 'PAGE' && current.type !== 'DOCUMENT') {
+    if (current.type === 'COMPONENT_SET' || current.type === 'INSTANCE') {
+      return current.name;
+    }
+    if (current.type === 'COMPONENT') {
+      return current.parent && current.parent.type === 'COMPONENT_SET' ? current.parent.name : current.name;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+// Audit every auto-layout node found in the given subtrees
+// Returns one result per node and spacing property (property info + node, page and component context)
+async function auditNodes(roots, page, exceptions) {
+  const excepted = [];
+  const nodes = collectAutoLayoutNodes(roots, excepted);
+  const results = [];
+
+  if (exceptions) {
+    excepted.forEach(item => exceptions.push(createExceptionEntry(item.node, item.exception, page)));
+  }
+
+  for (let i = 0; i < nodes.length; i++) {
+    const gapInfo = await getGapInfo(nodes[i]);
+    if (!gapInfo || !gapInfo.hasAutoLayout) continue;
 
-  // Step 3: Check if boundVariables.itemSpacing exists (avoid optional chaining)
-  const boundGap = node.boundVariables && node.boundVariables.itemSpacing;
+    const componentName = getComponentName(nodes[i]);
+    // Layout context used by the lint rules (siblings, parent gap and distribution)
+    const parent = nodes[i].parent;
+    const layoutContext = {
+      parentId: parent ? parent.id : null,
+      parentGap: parent && hasAutoLayout(parent) ? parent.itemSpacing : null,
+      primaryAxisAlignItems: nodes[i].primaryAxisAlignItems || null
+    };
+    for (let j = 0; j < gapInfo.properties.length; j++) {
+      const info = gapInfo.properties[j];
+      if (!isAuditableProperty(info)) continue;
 
-  // CASO 1: GAP VINCULADO A TOKEN
-  if (boundGap) {
-    // Handle array or single object
-    let boundAlias = null;
-    if (Array.isArray(boundGap) && boundGap.length > 0) {
-      boundAlias = boundGap[0];
-    } else if (boundGap.type === 'VARIABLE_ALIAS') {
-      boundAlias = boundGap;
+      results.push(Object.assign({
+        nodeId: gapInfo.nodeId,
+        nodeName: gapInfo.nodeName,
+        nodeType: gapInfo.nodeType,
+        layoutMode: gapInfo.layoutMode,
+        variableModes: gapInfo.variableModes,
+        pageId: page ? page.id : null,
+        pageName: page ? page.name : null,
+        componentName: componentName
+      }, layoutContext, info));
     }
+  }
 
-    if (boundAlias && boundAlias.type === 'VARIABLE_ALIAS' && boundAlias.id) {
-      try {
-        // Use async method for dynamic-page access
-        const variable = await figma.variables.getVariableByIdAsync(boundAlias.id);
+  return results;
+}
 
-        if (!variable) {
-          const errorGapInfo = createGapInfo(node);
-          errorGapInfo.error = 'Variable no encontrada';
-          return errorGapInfo;
-        }
+// Helper: Count results per status and compute the tokenized coverage percentage
+function countAuditStatuses(results) {
+  const totals = {
+    total: 0,
+    tokenized: 0,
+    hardcoded: 0,
+    broken: 0,
+    brokenTypes: {
+      deleted: 0,
+      'library-unavailable': 0,
+      'type-mismatch': 0,
+      'unresolved-alias': 0
+    },
+    violations: 0,
+    overrides: 0,
+    coverage: 0
+  };
 
-        // Get collection name using async method
-        let collectionName = null;
-        if (variable.variableCollectionId) {
-          try {
-            const collections = await getAllVariableCollections();
-            const collection = collections.find(c => c.id === variable.variableCollectionId);
-            if (collection) {
-              collectionName = collection.name || null;
-            }
-          } catch (e) {
-            // If collection lookup fails, use ID as fallback
-            collectionName = variable.variableCollectionId;
-          }
-        }
+  for (let i = 0; i < results.length; i++) {
+    totals.total++;
+    totals[results[i].status]++;
+    if (results[i].brokenType) {
+      totals.brokenTypes[results[i].brokenType]++;
+    }
+    if (results[i].ruleViolation) {
+      totals.violations++;
+    }
+    if (results[i].inheritance === 'override') {
+      totals.overrides++;
+    }
+  }
+
+  totals.coverage = totals.total > 0 ? Math.round((totals.tokenized / totals.total) * 1000) / 10 : 0;
+  return totals;
+}
 
-        // Resolver valor según el mode activo
-        const resolvedValue = getVariableValue(variable);
+// Helper: Group results by a key and count each group (sorted by lowest coverage first)
+function groupAuditResults(results, getKey, getName) {
+  const groups = {};
+  const order = [];
 
-        // Build full path
-        const fullPath = collectionName 
-          ? `${collectionName}/${variable.name}`
-          : (variable.variableCollectionId ? `${variable.variableCollectionId}/${variable.name}` : variable.name);
+  for (let i = 0; i < results.length; i++) {
+    const key = getKey(results[i]);
+    if (!groups[key]) {
+      groups[key] = { key: key, name: getName(results[i]), results: [] };
+      order.push(key);
+    }
+    groups[key].results.push(results[i]);
+  }
 
-        // Set token information
-        gapInfo.itemSpacingToken = variable.name;
-        gapInfo.itemSpacingTokenValue = typeof resolvedValue === 'number' ? resolvedValue : null;
-        gapInfo.itemSpacingTokenId = variable.id;
-        gapInfo.itemSpacingTokenFullPath = fullPath;
-        gapInfo.itemSpacingTokenCollectionPath = collectionName || variable.variableCollectionId || null;
+  return order
+    .map(key => Object.assign({ key: key, name: groups[key].name }, countAuditStatuses(groups[key].results)))
+    .sort((a, b) => a.coverage - b.coverage || b.total - a.total);
+}
 
-        return gapInfo;
-      } catch (e) {
-        // Error resolving token - return gapInfo with error
-        const errorGapInfo = createGapInfo(node);
-        errorGapInfo.error = 'Error al resolver el token: ' + (e.message || e.toString());
-        return errorGapInfo;
-      }
+// Build the audit report: results, totals and coverage per page, per component and per hardcoded value
+function summarizeAudit(results, scope, exceptions) {
+  const hardcodedValues = {};
+  const hardcodedOrder = [];
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    if (result.status !== 'hardcoded') continue;
+
+    const key = String(result.value);
+    if (!hardcodedValues[key]) {
+      hardcodedValues[key] = { value: result.value, count: 0, nodeIds: [] };
+      hardcodedOrder.push(key);
     }
+    hardcodedValues[key].count++;
+    hardcodedValues[key].nodeIds.push(result.nodeId);
   }
 
-  // CASO 2: GAP SIN TOKEN (hardcoded)
-  return gapInfo;
+  const totals = countAuditStatuses(results);
+  const nodeIds = {};
+  results.forEach(r => {
+    nodeIds[r.nodeId] = true;
+  });
+  totals.nodes = Object.keys(nodeIds).length;
+  totals.exceptions = exceptions ? exceptions.length : 0;
+
+  return {
+    scope: scope,
+    results: results,
+    totals: totals,
+    // Nodes skipped because they are marked as exceptions (reported apart, not counted in the coverage)
+    exceptions: exceptions || [],
+    byPage: groupAuditResults(results, r => r.pageId || '', r => r.pageName || ''),
+    byComponent: groupAuditResults(
+      results.filter(r => r.componentName),
+      r => r.componentName,
+      r => r.componentName
+    ),
+    byValue: hardcodedOrder
+      .map(key => hardcodedValues[key])
+      .sort((a, b) => b.count - a.count || a.value - b.value)
+  };
 }
 
 // Helper: Get variable value for active mode of its collection
-async function getVariableValueForActiveMode(variable) {
+// When a node is given, the mode set on that node (explicit or inherited) is used
+async function getVariableValueForActiveMode(variable, node) {
   try {
     // Get the collection to find the active mode
     // Use the same logic as when setting the value to ensure consistency
     if (variable.variableCollectionId) {
+      // Local collection or, for imported library variables, the library collection
       const collections = await getAllVariableCollections();
-      const collection = collections.find(c => c.id === variable.variableCollectionId);
+      const collection = await getCollectionById(variable.variableCollectionId, collections);
       
       if (collection) {
-        // Get the active mode ID using the same logic as when setting
-        // Prefer defaultModeId, then first mode (same as when we set the value)
-        let activeModeId = null;
-        if (collection.defaultModeId) {
-          activeModeId = collection.defaultModeId;
-        } else if (collection.modes && collection.modes.length > 0) {
-          activeModeId = collection.modes[0].modeId;
-        }
+        // Get the active mode ID: the node's mode, else defaultModeId, then first mode
+        // (same as when we set the value)
+        const activeModeId = getNodeModeId(node, collection);
         
         // If we have an active mode, get the value for that mode
         if (activeModeId) {
@@ -241,107 +937,235 @@ async function getVariableValueForActiveMode(variable) {
   }
 }
 
-// Get all available spacing tokens (FLOAT variables)
-async function getAvailableTokens() {
-  if (!figma.variables) return [];
-  
-  try {
-    const variables = await figma.variables.getLocalVariablesAsync();
-    const tokens = [];
-    const collections = await getAllVariableCollections();
-    
-    for (let i = 0; i < variables.length; i++) {
-      const v = variables[i];
-      
-      // Only process FLOAT variables
-      if (v.resolvedType !== 'FLOAT') continue;
-      
-      // Get value for active mode of the collection
-      let value = null;
-      let aliasInfo = null;
-      
-      // Try to get value from active mode of collection
-      if (v.variableCollectionId) {
-        const collection = collections.find(c => c.id === v.variableCollectionId);
-        if (collection) {
-          // Get active mode ID - try defaultModeId first, then first mode
-          let activeModeId = collection.defaultModeId || null;
-          
-          if (!activeModeId && collection.modes && collection.modes.length > 0) {
-            // Use first mode as active mode (typically the active one)
-            activeModeId = collection.modes[0].modeId;
-          }
-          
-          // If we have an active mode, get the value for that mode
-          if (activeModeId) {
-            
-            // Try valuesByMode first (most reliable)
-            if (v.valuesByMode && v.valuesByMode[activeModeId] !== undefined) {
-              const modeValue = v.valuesByMode[activeModeId];
-              if (typeof modeValue === 'number' && !isNaN(modeValue)) {
-                value = modeValue;
-              } else if (modeValue && typeof modeValue === 'object' && modeValue.type === 'VARIABLE_ALIAS') {
-                // Value is an alias to another variable
-                aliasInfo = {
-                  type: 'alias',
-                  variableId: modeValue.id,
-                  modeId: activeModeId
-                };
-              }
-            }
-            
-            // Fallback: try getValueForMode
-            if ((value === null || value === undefined) && !aliasInfo && v.getValueForMode) {
-              try {
-                const modeValue = v.getValueForMode(activeModeId);
-                if (typeof modeValue === 'number' && !isNaN(modeValue)) {
-                  value = modeValue;
-                } else if (modeValue && typeof modeValue === 'object' && modeValue.type === 'VARIABLE_ALIAS') {
-                  // Value is an alias to another variable
-                  aliasInfo = {
-                    type: 'alias',
-                    variableId: modeValue.id,
-                    modeId: activeModeId
-                  };
-                }
-              } catch (e) {
-                // getValueForMode failed
-              }
-            }
-            
-            // If we detected an alias, resolve the referenced variable
-            if (aliasInfo && aliasInfo.variableId) {
-              try {
-                const aliasVariable = await figma.variables.getVariableByIdAsync(aliasInfo.variableId);
-                if (aliasVariable) {
-                  // Get value from the referenced variable
-                  const referencedValue = getVariableValue(aliasVariable);
-                  
-                  // Get collection name for referenced variable
-                  let referencedCollectionName = null;
-                  if (aliasVariable.variableCollectionId) {
-                    const referencedCollection = collections.find(c => c.id === aliasVariable.variableCollectionId);
-                    if (referencedCollection) {
-                      referencedCollectionName = referencedCollection.name || null;
-                    }
-                  }
-                  
-                  aliasInfo.variableName = aliasVariable.name;
-                  aliasInfo.variableValue = typeof referencedValue === 'number' ? referencedValue : null;
-                  aliasInfo.variableCollectionName = referencedCollectionName;
-                  
-                  // Use the referenced variable's value for display
-                  value = typeof referencedValue === 'number' ? referencedValue : null;
-                }
-              } catch (e) {
-                // Failed to resolve alias variable
-                aliasInfo.variableName = null;
-                aliasInfo.error = 'No se pudo resolver la variable referenciada';
-              }
-            }
-          }
-        }
+// Helper: Get the default mode ID of a collection (defaultModeId, then first mode)
+function getCollectionDefaultModeId(collection) {
+  if (collection.defaultModeId) {
+    return collection.defaultModeId;
+  }
+  return collection.modes && collection.modes.length > 0 ? collection.modes[0].modeId : null;
+}
+
+// Helper: Get the mode a node uses for a collection
+// Explicit or inherited modes (resolvedVariableModes) win over the collection default mode
+function getNodeModeId(node, collection) {
+  const modes = node && (node.resolvedVariableModes || node.explicitVariableModes);
+  if (modes && modes[collection.id]) {
+    return modes[collection.id];
+  }
+  return getCollectionDefaultModeId(collection);
+}
+
+// Helper: Get the mode an alias into another collection resolves to
+function getAliasTargetModeId(collection, variableModes) {
+  if (variableModes && variableModes[collection.id]) {
+    return variableModes[collection.id];
+  }
+  return getCollectionDefaultModeId(collection);
+}
+
+// Helper: Follow a chain of VARIABLE_ALIAS values (across collections) until a number is found
+// Aliases in the same collection keep the mode; other collections use the mode of variableModes
+// (the modes a node resolves, by collection ID) or, without one, their default mode
+// Returns { value, path: [{ id, name, collectionName, fullPath }], error }; error is set for cycles,
+// missing targets and targets without a numeric value
+async function resolveAliasChain(variable, aliasId, modeId, collections, variableModes) {
+  const path = [];
+  const visited = {};
+  visited[variable.id] = true;
+
+  let currentId = aliasId;
+  let currentModeId = modeId;
+  let currentCollectionId = variable.variableCollectionId;
+
+  while (currentId) {
+    if (visited[currentId]) {
+      const repeated = currentId === variable.id ? variable : path.find(step => step.id === currentId);
+      return {
+        value: null,
+        path: path,
+        error: 'Alias circular: ' + [variable.name].concat(path.map(step => step.name), [repeated.name]).join(' → ')
+      };
+    }
+    visited[currentId] = true;
+
+    const target = await figma.variables.getVariableByIdAsync(currentId);
+    if (!target) {
+      return {
+        value: null,
+        path: path,
+        error: 'Variable referenciada no encontrada'
+      };
+    }
+
+    const collection = await getCollectionById(target.variableCollectionId, collections);
+    const collectionName = collection ? collection.name || null : null;
+    path.push({
+      id: target.id,
+      name: target.name,
+      collectionName: collectionName,
+      fullPath: collectionName ? `${collectionName}/${target.name}` : target.name
+    });
+
+    const targetModeId = collection
+      ? (collection.id === currentCollectionId ? currentModeId : getAliasTargetModeId(collection, variableModes))
+      : null;
+    let targetValue = targetModeId && target.valuesByMode ? target.valuesByMode[targetModeId] : undefined;
+    if (targetValue === undefined) {
+      targetValue = getVariableValue(target);
+    }
+
+    if (typeof targetValue === 'number' && !isNaN(targetValue)) {
+      return {
+        value: targetValue,
+        path: path,
+        error: null
+      };
+    }
+
+    if (!targetValue || typeof targetValue !== 'object' || targetValue.type !== 'VARIABLE_ALIAS') {
+      break;
+    }
+
+    currentId = targetValue.id;
+    currentModeId = targetModeId;
+    currentCollectionId = collection ? collection.id : null;
+  }
+
+  return {
+    value: null,
+    path: path,
+    error: 'El token referenciado no tiene un valor numérico'
+  };
+}
+
+// Helper: Get the value of a variable for one mode of its collection
+// Returns { value, aliasInfo }: aliases are resolved to the referenced variable's value
+// (variableModes, optional, are the node's modes used for aliases into other collections)
+async function getModeValueInfo(variable, modeId, collections, variableModes) {
+  let value = null;
+  let aliasInfo = null;
+
+  // Try valuesByMode first (most reliable)
+  if (variable.valuesByMode && variable.valuesByMode[modeId] !== undefined) {
+    const modeValue = variable.valuesByMode[modeId];
+    if (typeof modeValue === 'number' && !isNaN(modeValue)) {
+      value = modeValue;
+    } else if (modeValue && typeof modeValue === 'object' && modeValue.type === 'VARIABLE_ALIAS') {
+      // Value is an alias to another variable
+      aliasInfo = {
+        type: 'alias',
+        variableId: modeValue.id,
+        modeId: modeId
+      };
+    }
+  }
+
+  // Fallback: try getValueForMode
+  if ((value === null || value === undefined) && !aliasInfo && variable.getValueForMode) {
+    try {
+      const modeValue = variable.getValueForMode(modeId);
+      if (typeof modeValue === 'number' && !isNaN(modeValue)) {
+        value = modeValue;
+      } else if (modeValue && typeof modeValue === 'object' && modeValue.type === 'VARIABLE_ALIAS') {
+        // Value is an alias to another variable
+        aliasInfo = {
+          type: 'alias',
+          variableId: modeValue.id,
+          modeId: modeId
+        };
+      }
+    } catch (e) {
+      // getValueForMode failed
+    }
+  }
+
+  // If we detected an alias, follow the whole chain of referenced variables
+  if (aliasInfo && aliasInfo.variableId) {
+    try {
+      const chain = await resolveAliasChain(variable, aliasInfo.variableId, modeId, collections, variableModes);
+      const first = chain.path[0] || null;
+
+      aliasInfo.variableName = first ? first.name : null;
+      aliasInfo.variableValue = chain.value;
+      aliasInfo.variableCollectionName = first ? first.collectionName : null;
+      aliasInfo.path = chain.path;
+      if (chain.error) {
+        aliasInfo.error = chain.error;
       }
+
+      // Use the value at the end of the chain for display
+      value = chain.value;
+    } catch (e) {
+      // Failed to resolve alias variable
+      aliasInfo.variableName = null;
+      aliasInfo.error = 'No se pudo resolver la variable referenciada';
+    }
+  }
+
+  return {
+    value: typeof value === 'number' && !isNaN(value) ? value : null,
+    aliasInfo: aliasInfo
+  };
+}
+
+// Helper: Get the value of a variable for every mode of its collection
+// Returns [{ modeId, modeName, value, aliasInfo }] in the collection's mode order
+async function getVariableModeValues(variable, collection, collections, variableModes) {
+  const modeValues = [];
+  const modes = collection.modes || [];
+
+  for (let i = 0; i < modes.length; i++) {
+    const info = await getModeValueInfo(variable, modes[i].modeId, collections, variableModes);
+    modeValues.push({
+      modeId: modes[i].modeId,
+      modeName: modes[i].name,
+      value: info.value,
+      aliasInfo: info.aliasInfo
+    });
+  }
+
+  return modeValues;
+}
+
+// Helper: Get the value of a token for the modes a node uses (falls back to the default mode value)
+function getTokenValueForModes(token, variableModes) {
+  const modeId = variableModes && token.collectionId ? variableModes[token.collectionId] : null;
+  if (modeId && token.modeValues) {
+    const modeValue = token.modeValues.find(m => m.modeId === modeId);
+    if (modeValue && typeof modeValue.value === 'number') {
+      return modeValue.value;
+    }
+  }
+  return token.value;
+}
+
+// Get all available spacing tokens (FLOAT variables)
+// Each token has its default mode value plus the value for every mode of its collection
+async function getAvailableTokens() {
+  if (!figma.variables) return [];
+  
+  try {
+    const variables = await figma.variables.getLocalVariablesAsync();
+    const tokens = [];
+    const collections = await getAllVariableCollections();
+    
+    for (let i = 0; i < variables.length; i++) {
+      const v = variables[i];
+      
+      // Only process FLOAT variables
+      if (v.resolvedType !== 'FLOAT') continue;
+      
+      const collection = v.variableCollectionId
+        ? collections.find(c => c.id === v.variableCollectionId)
+        : null;
+
+      // Get the value for every mode of the collection
+      const modeValues = collection ? await getVariableModeValues(v, collection, collections) : [];
+      const defaultModeId = collection ? getCollectionDefaultModeId(collection) : null;
+      const defaultModeValue = modeValues.find(m => m.modeId === defaultModeId) || modeValues[0] || null;
+
+      let value = defaultModeValue ? defaultModeValue.value : null;
+      const aliasInfo = defaultModeValue ? defaultModeValue.aliasInfo : null;
       
       // If still no value, try default mode as fallback
       if (value === null || value === undefined) {
@@ -351,35 +1175,180 @@ async function getAvailableTokens() {
       // Only add if value is a valid number
       const numericValue = (value !== null && value !== undefined && typeof value === 'number' && !isNaN(value)) ? value : null;
       
-      // Get collection name for this variable
-      let collectionName = null;
-      if (v.variableCollectionId) {
-        const collection = collections.find(c => c.id === v.variableCollectionId);
-        if (collection) {
-          collectionName = collection.name || null;
-        }
-      }
-      
       tokens.push({
         id: v.id,
         name: v.name,
         value: numericValue,
         collectionId: v.variableCollectionId || null,
-        collectionName: collectionName,
-        aliasInfo: aliasInfo || null
+        collectionName: collection ? collection.name || null : null,
+        aliasInfo: aliasInfo || null,
+        defaultModeId: defaultModeId,
+        modeValues: modeValues,
+        scopes: Array.isArray(v.scopes) ? v.scopes : null,
+        origin: 'local'
       });
     }
     
-    return tokens.sort((a, b) => a.name.localeCompare(b.name));
+    tokens.sort((a, b) => a.name.localeCompare(b.name));
+    return annotateAllowedProperties(tokens.concat(await getLibraryTokens()));
   } catch (e) {
     return [];
   }
 }
 
+// Cache for the collections and spacing variables of enabled team libraries (refreshed on every manual scan)
+let libraryCollectionsCache = null;
+let libraryTokensCache = null;
+
+// Helper: Forget the team library collections and variables so the next scan reads them again
+function clearLibraryCache() {
+  libraryCollectionsCache = null;
+  libraryTokensCache = null;
+}
+
+// Helper: Get the variable collections of the enabled team libraries
+// Returns null when they can't be read (no team library API, permission missing or offline), which is not
+// the same as no library enabled
+async function getLibraryCollections() {
+  if (libraryCollectionsCache) {
+    return libraryCollectionsCache;
+  }
+  if (!figma.teamLibrary) {
+    return null;
+  }
+  try {
+    const collections = await figma.teamLibrary.getAvailableLibraryVariableCollectionsAsync();
+    libraryCollectionsCache = collections || [];
+    return libraryCollectionsCache;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Get the FLOAT variables of every enabled team library collection
+// Library variables are not imported until the user links one, so their values are unknown (null)
+async function getLibraryTokens() {
+  if (libraryTokensCache) {
+    return libraryTokensCache;
+  }
+
+  const tokens = [];
+  const collections = (await getLibraryCollections()) || [];
+
+  for (let i = 0; i < collections.length; i++) {
+    const collection = collections[i];
+    try {
+      const variables = await figma.teamLibrary.getVariablesInLibraryCollectionAsync(collection.key);
+      for (let j = 0; j < variables.length; j++) {
+        const v = variables[j];
+        if (v.resolvedType !== 'FLOAT') continue;
+
+        tokens.push({
+          id: null,
+          key: v.key,
+          name: v.name,
+          value: null,
+          collectionId: 'library:' + collection.key,
+          collectionName: collection.name || null,
+          libraryName: collection.libraryName || null,
+          aliasInfo: null,
+          defaultModeId: null,
+          modeValues: [],
+          origin: 'library'
+        });
+      }
+    } catch (e) {
+      // Skip collections that cannot be read
+    }
+  }
+
+  libraryTokensCache = tokens.sort((a, b) => a.name.localeCompare(b.name));
+  return libraryTokensCache;
+}
+
+// Helper: Serialize the enabled library collections for the UI (used to filter the token list)
+async function getSerializedLibraryCollections() {
+  const collections = (await getLibraryCollections()) || [];
+  return collections.map(c => ({
+    id: 'library:' + c.key,
+    name: (c.libraryName ? c.libraryName + ' / ' : '') + (c.name || '')
+  }));
+}
+
+// Rank tokens by their distance to a gap value (closest first, ties by name)
+// Token values are read for the node's modes; tokens without a numeric value are left out
+function rankTokensByDistance(value, tokens, variableModes) {
+  return tokens
+    .map(t => ({
+      token: t,
+      value: getTokenValueForModes(t, variableModes)
+    }))
+    .filter(t => typeof t.value === 'number' && !isNaN(t.value))
+    .map(t => ({
+      token: t.token,
+      value: t.value,
+      distance: Math.abs(t.value - value)
+    }))
+    .sort((a, b) => a.distance - b.distance || a.token.name.localeCompare(b.token.name));
+}
+
+// Helper: Check if a distance is inside the snapping tolerance for a gap value
+function isWithinTolerance(value, distance, tolerance) {
+  const amount = tolerance && typeof tolerance.value === 'number' ? tolerance.value : 0;
+  const maxDistance = tolerance && tolerance.mode === 'percent'
+    ? Math.abs(value) * amount / 100
+    : amount;
+  return distance <= maxDistance + 0.001;
+}
+
+// Suggest the closest token to a hardcoded gap value, if it is inside the tolerance
+// Returns { tokenId, tokenName, tokenFullPath, tokenValue, distance } or null
+function suggestToken(value, tokens, tolerance, variableModes) {
+  if (typeof value !== 'number' || isNaN(value)) {
+    return null;
+  }
+
+  const ranked = rankTokensByDistance(value, tokens, variableModes);
+  if (ranked.length === 0 || !isWithinTolerance(value, ranked[0].distance, tolerance)) {
+    return null;
+  }
+
+  const token = ranked[0].token;
+  return {
+    tokenId: token.id,
+    tokenName: token.name,
+    tokenFullPath: token.collectionName ? `${token.collectionName}/${token.name}` : token.name,
+    tokenValue: ranked[0].value,
+    distance: Math.round(ranked[0].distance * 100) / 100
+  };
+}
+
+// Helper: Serialize collections for the UI (modes included, to show and create per-mode values)
+function serializeCollections(collections) {
+  return collections.map(c => ({
+    id: c.id,
+    name: c.name || '',
+    defaultModeId: getCollectionDefaultModeId(c),
+    modes: (c.modes || []).map(m => ({
+      modeId: m.modeId,
+      name: m.name
+    }))
+  }));
+}
+
+// Scan mode: 'single' audits the selected node, 'recursive' audits every
+// auto-layout node inside any number of selected nodes
+let scanMode = 'single';
+
+// Audit scope: 'selection' follows the canvas selection, 'page' and 'document'
+// keep their report until the user scans again or goes back to the selection
+let auditScope = 'selection';
+
 // Scan selected nodes
 async function scanSelection() {
+  refreshTeamConfig();
   const selection = figma.currentPage.selection;
-  
+
   // Validate selection
   if (selection.length === 0) {
     return {
@@ -388,10 +1357,14 @@ async function scanSelection() {
     };
   }
 
+  if (scanMode === 'recursive') {
+    return scanSelectionRecursive(selection);
+  }
+
   if (selection.length > 1) {
     return {
       success: false,
-      message: 'Por favor, selecciona solo un elemento a la vez'
+      message: 'Por favor, selecciona solo un elemento a la vez o activa la auditoría múltiple'
     };
   }
 
@@ -405,6 +1378,13 @@ async function scanSelection() {
     };
   }
 
+  if (isIgnoredNode(node)) {
+    return {
+      success: false,
+      message: `"${node.name}" está ignorado por los ajustes (patrones de capas ignoradas)`
+    };
+  }
+
   const gapInfo = await getGapInfo(node);
 
   if (!gapInfo) {
@@ -414,7 +1394,11 @@ async function scanSelection() {
     };
   }
 
-  // Check for AutoLayout requirement
+  // Exceptions are shown in the node card so they can be reviewed or removed
+  const applied = getAppliedException(node);
+  gapInfo.exception = applied ? createExceptionEntry(applied.node, applied.exception, getNodePage(node)) : null;
+
+  // Check for AutoLayout requirement (broken bindings are shown in the card with their repair options)
   if (gapInfo.error) {
     return {
       success: false,
@@ -423,313 +1407,3212 @@ async function scanSelection() {
   }
 
   const collections = await getAllVariableCollections();
-  
+  const availableTokens = await getAvailableTokens();
+
+  for (let i = 0; i < gapInfo.properties.length; i++) {
+    const info = gapInfo.properties[i];
+    if (info.status === 'hardcoded' || info.status === 'broken') {
+      info.suggestion = suggestToken(info.value, getAllowedTokens(availableTokens, info.property), pluginConfig.snapTolerance, gapInfo.variableModes);
+    }
+  }
+
   return {
     success: true,
     gapInfo: gapInfo,
-    availableTokens: await getAvailableTokens(),
-    collections: collections.map(c => ({
-      id: c.id,
-      name: c.name || ''
-    }))
+    availableTokens: availableTokens,
+    collections: serializeCollections(collections),
+    libraryCollections: await getSerializedLibraryCollections()
   };
 }
 
-// Link gap to design token
-async function linkGapToToken(nodeId, tokenName, gapType, tokenId, tokenValue, collectionId) {
-  try {
-    const node = await figma.getNodeByIdAsync(nodeId);
-    if (!node || !isFrameOrAutoLayout(node)) {
-      return {
-        success: false,
-        message: 'No se pudo encontrar el nodo seleccionado'
-      };
-    }
+// Helper: Full path of an available token (collection/name)
+function getTokenFullPath(token) {
+  return token.collectionName ? `${token.collectionName}/${token.name}` : token.name;
+}
 
-    // Validate AutoLayout
-    if (node.layoutMode === 'NONE') {
-      return {
-        success: false,
-        message: 'El elemento no tiene AutoLayout habilitado'
-      };
-    }
+// Helper: Check whether a token name (or its full path) is a primitive token of the configuration
+function isPrimitiveTokenName(name, fullPath) {
+  const patterns = pluginConfig.primitiveTokenPatterns || [];
+  return patterns.some(pattern => {
+    const regExp = globToRegExp(pattern);
+    return regExp.test(name || '') || regExp.test(fullPath || '');
+  });
+}
 
-    if (!figma.variables) {
-      return {
-        success: false,
-        message: 'La API de Variables no está disponible en tu versión de Figma'
-      };
+// Helper: Most used token among sibling results ({ tokenId, tokenName, tokenFullPath, count })
+function getMajorityToken(results) {
+  const counts = {};
+  let majority = null;
+  results.forEach(result => {
+    counts[result.tokenId] = (counts[result.tokenId] || 0) + 1;
+    if (!majority || counts[result.tokenId] > majority.count) {
+      majority = { tokenId: result.tokenId, tokenName: result.token, tokenFullPath: result.tokenFullPath, count: counts[result.tokenId] };
     }
+  });
+  return majority;
+}
 
-    let variable = null;
+// Helper: Semantic tokens that alias a primitive token and can be bound to the property (fix of 'primitive-token')
+function getSemanticAliases(result, tokens) {
+  return getAllowedTokens(tokens, result.property).filter(token => {
+    const path = token.aliasInfo && token.aliasInfo.path;
+    return token.id && path && path.length > 0 && path[path.length - 1].id === result.tokenId &&
+      !isPrimitiveTokenName(token.name, getTokenFullPath(token));
+  });
+}
 
-    // Use existing token if ID provided
-    if (tokenId) {
-      try {
-        variable = await figma.variables.getVariableByIdAsync(tokenId);
-        if (!variable) {
-          return {
-            success: false,
-            message: 'No se pudo encontrar el token seleccionado'
-          };
-        }
-      } catch (e) {
-        return {
-          success: false,
-          message: 'Error al obtener el token: ' + (e.message || e.toString())
-        };
-      }
-    } else {
-      // Find or create variable
-      const variables = await figma.variables.getLocalVariablesAsync();
-      variable = variables.find(v => v.name === tokenName);
+// Spacing lint rules: add result.lintIssues ([{ rule, severity, message, fix }]) to audit results
+// fix is null or { type: 'link', tokenId, tokenName } | { type: 'set-value', value } | { type: 'clear' }
+// - 'off-grid': value that is not a multiple of the grid (radii are left out)
+// - 'sibling-tokens': sibling auto-layouts whose gap uses a different token than most of them
+// - 'nested-gap': gap larger than the gap of the parent auto-layout
+// - 'primitive-token': primitive token (core/*) bound directly instead of a semantic one
+// - 'space-between-gap': fixed gap on a SPACE_BETWEEN layout, where Figma ignores it
+function lintAuditResults(results, tokens) {
+  const rules = pluginConfig.lintRules || DEFAULT_CONFIG.lintRules;
+  const grid = pluginConfig.lintGrid || DEFAULT_CONFIG.lintGrid;
+  const isEnabled = ruleId => rules[ruleId] && rules[ruleId].enabled;
+  const addIssue = (result, ruleId, message, fix) => {
+    result.lintIssues.push({ rule: ruleId, severity: rules[ruleId].severity, message: message, fix: fix || null });
+  };
 
-      if (!variable) {
-        // Determine the value to use: provided value or current gap value
-        // tokenValue comes from the UI input field "Gap"
-        // tokenValue should be a valid number (can be 0 or positive)
-        // IMPORTANT: tokenValue is the value the user typed in the input field
-        let gapValue = null;
-        
-        // Convert tokenValue to number if it's a string (postMessage might serialize it)
-        let numericTokenValue = null;
-        if (tokenValue !== null && tokenValue !== undefined) {
-          if (typeof tokenValue === 'number') {
-            numericTokenValue = tokenValue;
-          } else if (typeof tokenValue === 'string') {
-            // Parse string to number
-            const parsed = parseFloat(tokenValue);
-            if (!isNaN(parsed) && isFinite(parsed)) {
-              numericTokenValue = parsed;
-            }
-          }
-        }
-        
-        // Check if we have a valid numeric value
-        if (numericTokenValue !== null && numericTokenValue !== undefined && typeof numericTokenValue === 'number' && !isNaN(numericTokenValue) && isFinite(numericTokenValue)) {
-          // Use the value from the input field (this is the Gap value)
-          gapValue = numericTokenValue;
-        } else {
-          // Fallback to current itemSpacing only if tokenValue is truly invalid
-          gapValue = (node.itemSpacing !== null && node.itemSpacing !== undefined) ? node.itemSpacing : 0;
-        }
+  results.forEach(result => {
+    result.lintIssues = [];
+  });
 
-        // Validate token name
-        if (!tokenName || tokenName.trim() === '') {
-          return {
-            success: false,
-            message: 'El nombre del token no puede estar vacío'
-          };
-        }
+  // Sibling gaps are compared inside each parent
+  const siblingGroups = {};
+  if (isEnabled('sibling-tokens')) {
+    results.forEach(result => {
+      if (result.property !== 'itemSpacing' || result.status !== 'tokenized' || !result.parentId) return;
+      (siblingGroups[result.parentId] = siblingGroups[result.parentId] || []).push(result);
+    });
+  }
+  Object.keys(siblingGroups).forEach(parentId => {
+    const siblings = siblingGroups[parentId];
+    const majority = getMajorityToken(siblings);
+    if (siblings.length < 2 || siblings.every(result => result.tokenId === majority.tokenId)) return;
+    siblings.forEach(result => {
+      if (result.tokenId === majority.tokenId) return;
+      addIssue(result, 'sibling-tokens', `Sus hermanos usan ${majority.tokenFullPath || majority.tokenName}`, {
+        type: 'link',
+        tokenId: majority.tokenId,
+        tokenName: majority.tokenFullPath || majority.tokenName
+      });
+    });
+  });
 
-        // Verify collection exists if provided and get active mode
-        // In incremental mode, we need to ensure we have the actual collection node
-        // Clear cache first to get fresh collection objects
-        variableCollectionsCache = null;
-        let collectionNode = null;
-        let activeModeId = null;
-        if (collectionId) {
-          try {
-            // Get fresh collection objects from API (these should be proper VariableCollection nodes)
-            const collections = await getAllVariableCollections();
-            if (collections && collections.length > 0) {
-              collectionNode = collections.find(function(c) {
-                return c && c.id === collectionId;
-              });
-            }
-            
-            if (collectionNode) {
-              // Verify it's a valid collection node
-              if (collectionNode.type && collectionNode.type !== 'VARIABLE_COLLECTION') {
-                // Not a valid collection, set to null
-                collectionNode = null;
-              } else {
-                // Get the default mode from collection (this is the mode where values are typically set)
-                // Prefer defaultModeId, fallback to first mode if defaultModeId doesn't exist
-                if (collectionNode.defaultModeId) {
-                  activeModeId = collectionNode.defaultModeId;
-                } else if (collectionNode.modes && collectionNode.modes.length > 0) {
-                  activeModeId = collectionNode.modes[0].modeId;
-                } else {
-                  activeModeId = null;
-                }
-              }
-            }
-          } catch (e) {
-            // Collection lookup failed, continue without collection
-            collectionNode = null;
-          }
-        }
+  results.forEach(result => {
+    if (typeof result.value !== 'number') return;
+    // Figma ignores the gap of SPACE_BETWEEN layouts, so only 'space-between-gap' applies to it
+    const ignoredGap = result.property === 'itemSpacing' && result.primaryAxisAlignItems === 'SPACE_BETWEEN';
 
-        // Create new variable
-        try {
-          // In incremental mode, createVariable accepts the collection as a parameter directly
-          // Signature: createVariable(name, collection, type) when collection is provided
-          // Signature: createVariable(name, type) when no collection is provided
-          if (collectionNode) {
-            // Create variable with collection passed directly as parameter (not as ID)
-            // This ensures the variable is created in the collection from the start in incremental mode
-            variable = figma.variables.createVariable(tokenName.trim(), collectionNode, 'FLOAT');
-            
-            // Clear cache after creating variable in collection
-            variableCollectionsCache = null;
-            
-            // IMPORTANT: Use collection's modes directly since variable.modes might not be immediately available
-            // after creating the variable. The variable inherits the collection's modes, so we can use collection's mode IDs
-            if (collectionNode && collectionNode.modes && collectionNode.modes.length > 0) {
-              // Determine which mode to use - use collection's defaultModeId or first mode
-              // This should match what getVariableValueForActiveMode will use to read
-              let modeIdToUse = null;
-              
-              // Use collection's defaultModeId or first mode (same logic as when reading)
-              if (collectionNode.defaultModeId) {
-                modeIdToUse = collectionNode.defaultModeId;
-              } else {
-                modeIdToUse = collectionNode.modes[0].modeId;
-              }
-              
-              // Set the value in the determined mode
-              // The gapValue comes from the user input in the campo "Gap"
-              // Verify gapValue is valid before setting
-              if (gapValue !== null && gapValue !== undefined && typeof gapValue === 'number' && !isNaN(gapValue) && isFinite(gapValue) && modeIdToUse) {
-                // Set value in the primary mode using the mode ID from the collection
-                variable.setValueForMode(modeIdToUse, gapValue);
-                
-                // Verify the value was set correctly immediately after setting
-                try {
-                  let verifyValue = null;
-                  if (variable.getValueForMode) {
-                    verifyValue = variable.getValueForMode(modeIdToUse);
-                  } else if (variable.valuesByMode && variable.valuesByMode[modeIdToUse] !== undefined) {
-                    verifyValue = variable.valuesByMode[modeIdToUse];
-                  }
-                  
-                  // If value is still 0 or null (and gapValue is not 0), try setting again
-                  if ((verifyValue === null || verifyValue === undefined || verifyValue === 0) && gapValue !== 0) {
-                    // Set value in all collection modes as fallback
-                    for (let i = 0; i < collectionNode.modes.length; i++) {
-                      const collectionModeId = collectionNode.modes[i].modeId;
-                      if (collectionModeId) {
-                        variable.setValueForMode(collectionModeId, gapValue);
-                      }
-                    }
-                  }
-                } catch (e) {
-                  // Set value in all collection modes as fallback
-                  for (let i = 0; i < collectionNode.modes.length; i++) {
-                    const collectionModeId = collectionNode.modes[i].modeId;
-                    if (collectionModeId) {
-                      variable.setValueForMode(collectionModeId, gapValue);
-                    }
-                  }
-                }
-                
-                // Also set the value in all other collection modes to ensure it's available everywhere
-                for (let i = 0; i < collectionNode.modes.length; i++) {
-                  const otherModeId = collectionNode.modes[i].modeId;
-                  if (otherModeId && otherModeId !== modeIdToUse) {
-                    variable.setValueForMode(otherModeId, gapValue);
-                  }
-                }
-              }
-            }
-          } else {
-            // No collection specified, create variable without collection
-            variable = figma.variables.createVariable(tokenName.trim(), 'FLOAT');
-            
-            // Use variable's default mode
-            // Ensure gapValue is a valid number before setting it
-            if (variable.modes && variable.modes.length > 0 && gapValue !== null && gapValue !== undefined && typeof gapValue === 'number' && !isNaN(gapValue) && isFinite(gapValue)) {
-              const modeId = variable.modes[0].modeId;
-              variable.setValueForMode(modeId, gapValue);
-            }
-          }
-        } catch (createError) {
-          return {
-            success: false,
-            message: `Error al crear el token: ${createError.message}`
-          };
-        }
-        
-        // Clear cache to refresh collections
-        variableCollectionsCache = null;
+    if (isEnabled('off-grid') && result.property !== 'cornerRadius' && !ignoredGap) {
+      const snapped = Math.round(result.value / grid) * grid;
+      if (!gapValuesMatch(snapped, result.value)) {
+        // Bound values are fixed in the token, not in the node
+        addIssue(result, 'off-grid', `${result.value}px no es múltiplo del grid de ${grid}px`,
+          result.status === 'hardcoded' ? { type: 'set-value', value: snapped } : null);
       }
     }
 
-    // Apply variable to itemSpacing (GAP)
-    const variableAlias = {
-      type: 'VARIABLE_ALIAS',
-      id: variable.id
-    };
+    if (isEnabled('nested-gap') && result.property === 'itemSpacing' && !ignoredGap && typeof result.parentGap === 'number' && result.value > result.parentGap) {
+      addIssue(result, 'nested-gap', `El GAP (${result.value}px) es mayor que el de su AutoLayout padre (${result.parentGap}px)`);
+    }
 
-    if (gapType === 'itemSpacing' && node.layoutMode !== 'NONE') {
-      node.setBoundVariable('itemSpacing', variableAlias);
-      
-      // Get the token value for the response
-      // Try to get value from the variable using the active mode
-      let tokenValue = null;
-      
-      // Try getVariableValueForActiveMode first (more reliable for collection variables)
-      if (variable.variableCollectionId) {
-        try {
-          tokenValue = await getVariableValueForActiveMode(variable);
-        } catch (e) {
-          // Fallback to getVariableValue if getVariableValueForActiveMode fails
-          tokenValue = getVariableValue(variable);
-        }
-      } else {
-        // For variables without collection, use standard method
-        tokenValue = getVariableValue(variable);
+    if (isEnabled('primitive-token') && result.status === 'tokenized' && isPrimitiveTokenName(result.token, result.tokenFullPath)) {
+      const aliases = getSemanticAliases(result, tokens);
+      addIssue(result, 'primitive-token',
+        aliases.length > 0 ? `Token primitivo usado directamente; usa ${getTokenFullPath(aliases[0])}` : 'Token primitivo usado directamente',
+        aliases.length > 0 ? { type: 'link', tokenId: aliases[0].id, tokenName: getTokenFullPath(aliases[0]) } : null);
+    }
+
+    if (isEnabled('space-between-gap') && ignoredGap && (result.status === 'tokenized' || result.value !== 0)) {
+      addIssue(result, 'space-between-gap', 'Con distribución SPACE_BETWEEN el GAP fijo no se aplica', { type: 'clear' });
+    }
+  });
+}
+
+// Helper: Count lint issues per severity
+function countLintIssues(results) {
+  const totals = { total: 0, error: 0, warning: 0, info: 0 };
+  results.forEach(result => {
+    (result.lintIssues || []).forEach(issue => {
+      totals.total++;
+      totals[issue.severity]++;
+    });
+  });
+  return totals;
+}
+
+// Helper: Build a successful audit scan result with the tokens and collections the UI needs
+async function createAuditScanResult(audit) {
+  const collections = await getAllVariableCollections();
+  const availableTokens = await getAvailableTokens();
+
+  for (let i = 0; i < audit.results.length; i++) {
+    const result = audit.results[i];
+    if (result.status === 'hardcoded' || result.status === 'broken') {
+      result.suggestion = suggestToken(result.value, getAllowedTokens(availableTokens, result.property), pluginConfig.snapTolerance, result.variableModes);
+    }
+  }
+
+  lintAuditResults(audit.results, availableTokens);
+  audit.totals.lintIssues = countLintIssues(audit.results);
+
+  return {
+    success: true,
+    mode: 'audit',
+    audit: audit,
+    availableTokens: availableTokens,
+    collections: serializeCollections(collections),
+    libraryCollections: await getSerializedLibraryCollections()
+  };
+}
+
+// Scan every auto-layout node inside the selected nodes (recursive audit)
+async function scanSelectionRecursive(selection) {
+  const exceptions = [];
+  const results = await auditNodes(selection, figma.currentPage, exceptions);
+
+  if (results.length === 0 && exceptions.length === 0) {
+    return {
+      success: false,
+      message: 'No se encontraron AutoLayouts en la selección'
+    };
+  }
+
+  return createAuditScanResult(summarizeAudit(results, 'selection', exceptions));
+}
+
+// Scan every auto-layout node of the current page
+async function scanPage() {
+  refreshTeamConfig();
+  const page = figma.currentPage;
+  await page.loadAsync();
+
+  const exceptions = [];
+  const results = await auditNodes(page.children, page, exceptions);
+  if (results.length === 0 && exceptions.length === 0) {
+    return {
+      success: false,
+      message: 'No se encontraron AutoLayouts en esta página'
+    };
+  }
+
+  return createAuditScanResult(summarizeAudit(results, 'page', exceptions));
+}
+
+// Scan every auto-layout node of every page in the document
+// Pages are loaded one by one (documentAccess: dynamic-page)
+async function scanDocument() {
+  refreshTeamConfig();
+  let results = [];
+  const exceptions = [];
+  const pages = figma.root.children;
+
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    await page.loadAsync();
+    results = results.concat(await auditNodes(page.children, page, exceptions));
+  }
+
+  if (results.length === 0 && exceptions.length === 0) {
+    return {
+      success: false,
+      message: 'No se encontraron AutoLayouts en el documento'
+    };
+  }
+
+  return createAuditScanResult(summarizeAudit(results, 'document', exceptions));
+}
+
+// Re-run the scan for the current audit scope
+function runCurrentScan() {
+  if (auditScope === 'page') {
+    return scanPage();
+  }
+  if (auditScope === 'document') {
+    return scanDocument();
+  }
+  return scanSelection();
+}
+
+// Helper: Get the page that contains a node
+function getNodePage(node) {
+  let current = node;
+  while (current && current.type !== 'PAGE') {
+    current = current.parent;
+  }
+  return current;
+}
+
+// Scroll and zoom the viewport to a node without changing the selection
+async function focusNode(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') {
+    return {
+      success: false,
+      message: 'No se pudo encontrar el nodo seleccionado'
+    };
+  }
+
+  figma.viewport.scrollAndZoomIntoView([node]);
+  return {
+    success: true
+  };
+}
+
+// Select a node on the canvas, switching to its page if needed
+async function selectNode(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') {
+    return {
+      success: false,
+      message: 'No se pudo encontrar el nodo seleccionado'
+    };
+  }
+
+  const page = getNodePage(node);
+  if (page && page.id !== figma.currentPage.id) {
+    await figma.setCurrentPageAsync(page);
+  }
+
+  figma.currentPage.selection = [node];
+  figma.viewport.scrollAndZoomIntoView([node]);
+  return {
+    success: true
+  };
+}
+
+// Mark nodes as audit exceptions (stored as plugin data on each node)
+// subtree: also skip every descendant of the nodes. Nodes that can't be written are reported in failed
+async function setNodeExceptions(nodeIds, reason, subtree) {
+  const text = String(reason || '').trim();
+  if (text === '') {
+    return {
+      success: false,
+      message: 'Indica el motivo de la excepción'
+    };
+  }
+
+  const data = JSON.stringify({
+    reason: text,
+    subtree: !!subtree,
+    date: new Date().toISOString()
+  });
+  let marked = 0;
+  const failed = [];
+  for (let i = 0; i < nodeIds.length; i++) {
+    const node = await figma.getNodeByIdAsync(nodeIds[i]);
+    if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') continue;
+    try {
+      node.setPluginData(EXCEPTION_DATA_KEY, data);
+      marked++;
+    } catch (e) {
+      // Locked or read-only nodes (e.g. inside a library component) can't store plugin data
+      failed.push(createExceptionFailure(node, e));
+    }
+  }
+
+  if (marked === 0) {
+    return {
+      success: false,
+      message: failed.length > 0 ? 'No se pudo marcar el nodo como excepción' : 'No se pudo encontrar el nodo seleccionado',
+      failed: failed
+    };
+  }
+  return {
+    success: true,
+    message: (marked === 1 ? 'Nodo marcado como excepción' : `${marked} nodos marcados como excepción`) +
+      (failed.length > 0 ? `, ${failed.length} no se pudieron marcar` : ''),
+    failed: failed
+  };
+}
+
+// Remove the audit exception of the given nodes
+// Nodes that can't be written are reported in failed
+async function removeNodeExceptions(nodeIds) {
+  let removed = 0;
+  const failed = [];
+  for (let i = 0; i < nodeIds.length; i++) {
+    const node = await figma.getNodeByIdAsync(nodeIds[i]);
+    if (!node || !getNodeException(node)) continue;
+    try {
+      node.setPluginData(EXCEPTION_DATA_KEY, '');
+      removed++;
+    } catch (e) {
+      failed.push(createExceptionFailure(node, e));
+    }
+  }
+
+  if (removed === 0) {
+    return {
+      success: false,
+      message: failed.length > 0 ? 'No se pudo quitar la excepción del nodo' : 'El nodo no tiene ninguna excepción',
+      failed: failed
+    };
+  }
+  return {
+    success: true,
+    message: (removed === 1 ? 'Excepción eliminada' : `${removed} excepciones eliminadas`) +
+      (failed.length > 0 ? `, ${failed.length} no se pudieron eliminar` : ''),
+    failed: failed
+  };
+}
+
+// Helper: Describe a node whose exception could not be written
+function createExceptionFailure(node, error) {
+  return {
+    nodeId: node.id,
+    nodeName: node.name,
+    reason: 'Error: ' + (error.message || error.toString())
+  };
+}
+
+// List every audit exception of the file, page by page
+async function listExceptions() {
+  const exceptions = [];
+  const pages = figma.root.children;
+
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    await page.loadAsync();
+    const nodes = page.findAllWithCriteria({ pluginData: { keys: [EXCEPTION_DATA_KEY] } });
+    nodes.forEach(node => {
+      const exception = getNodeException(node);
+      if (exception) {
+        exceptions.push(createExceptionEntry(node, exception, page));
       }
-      
-      // If we still don't have a value, try to get it from the first mode
-      if (tokenValue === null || tokenValue === undefined) {
-        if (variable.modes && variable.modes.length > 0) {
-          const firstModeId = variable.modes[0].modeId;
-          if (variable.getValueForMode) {
-            try {
-              tokenValue = variable.getValueForMode(firstModeId);
-            } catch (e) {
-              // Error reading value
-            }
-          }
-          if ((tokenValue === null || tokenValue === undefined) && variable.valuesByMode) {
-            tokenValue = variable.valuesByMode[firstModeId];
+    });
+  }
+
+  return {
+    success: true,
+    exceptions: exceptions
+  };
+}
+
+// Helper: Build a function that tells whether a bound variable ID belongs to a token
+// token: { id } for local variables or { key } for library variables
+// Library variables are bound through the ID of their imported copy, so they are compared by key
+function createTokenMatcher(token) {
+  const variableKeys = {};
+  return async function(variableId) {
+    if (token.id) {
+      return variableId === token.id;
+    }
+    if (!(variableId in variableKeys)) {
+      let variable = null;
+      try {
+        variable = await figma.variables.getVariableByIdAsync(variableId);
+      } catch (e) {
+        variable = null;
+      }
+      variableKeys[variableId] = variable ? variable.key : null;
+    }
+    return variableKeys[variableId] === token.key;
+  };
+}
+
+// Helper: Find the nodes of the given subtrees (roots included) with a spacing field bound to a variable
+function findBoundSpacingNodes(roots) {
+  const hasBoundSpacing = node => !!node.boundVariables &&
+    SPACING_PROPERTIES.some(definition => definition.fields.some(field => getBoundAlias(node, field)));
+  const nodes = [];
+  const seen = {};
+  const add = node => {
+    if (seen[node.id]) return;
+    seen[node.id] = true;
+    nodes.push(node);
+  };
+
+  roots.forEach(root => {
+    if (hasBoundSpacing(root)) add(root);
+    if (typeof root.findAll === 'function') {
+      root.findAll(hasBoundSpacing).forEach(add);
+    }
+  });
+  return nodes;
+}
+
+// Find every node whose spacing fields are bound to a token, on the current page or in the whole document
+// token: { id } for local variables or { key } for library variables (matched by key once imported)
+async function findTokenUsages(token, scope) {
+  if (!token || (!token.id && !token.key)) {
+    return {
+      success: false,
+      message: 'Selecciona un token'
+    };
+  }
+
+  const isTokenVariable = createTokenMatcher(token);
+  const pages = scope === 'document' ? figma.root.children : [figma.currentPage];
+  const usages = [];
+
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    await page.loadAsync();
+    const nodes = findBoundSpacingNodes([page]);
+
+    for (let j = 0; j < nodes.length; j++) {
+      const node = nodes[j];
+      const properties = [];
+      for (let k = 0; k < SPACING_PROPERTIES.length; k++) {
+        const definition = SPACING_PROPERTIES[k];
+        for (let f = 0; f < definition.fields.length; f++) {
+          const alias = getBoundAlias(node, definition.fields[f]);
+          if (alias && await isTokenVariable(alias.id)) {
+            properties.push(definition.label);
+            break;
           }
         }
       }
 
-      return {
-        success: true,
-        message: `GAP vinculado correctamente al token "${variable.name}"`,
-        tokenName: variable.name,
-        tokenValue: tokenValue
-      };
+      if (properties.length > 0) {
+        usages.push({
+          nodeId: node.id,
+          nodeName: node.name,
+          nodeType: node.type,
+          pageId: page.id,
+          pageName: page.name,
+          componentName: getComponentName(node),
+          properties: properties
+        });
+      }
+    }
+  }
+
+  const componentCounts = {};
+  usages.forEach(usage => {
+    const name = usage.componentName || '';
+    componentCounts[name] = (componentCounts[name] || 0) + 1;
+  });
+
+  return {
+    success: true,
+    scope: scope === 'document' ? 'document' : 'page',
+    usages: usages,
+    // Nodes outside components are grouped under an empty name
+    byComponent: Object.keys(componentCounts)
+      .map(name => ({ name: name, count: componentCounts[name] }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  };
+}
+
+// Helper: Why a node can't be rebound by a migration (null if it can)
+function getMigrationBlocker(node) {
+  let current = node;
+  while (current && current.type !== 'PAGE' && current.type !== 'DOCUMENT') {
+    if (current.locked) {
+      return current === node ? 'Capa bloqueada' : `Dentro de una capa bloqueada (${current.name})`;
+    }
+    current = current.parent;
+  }
+  return isRemoteNode(node) ? 'Componente de librería (solo lectura)' : null;
+}
+
+// Helper: Token fields kept in migration entries
+function getMigrationTokenInfo(token) {
+  return {
+    id: token.id,
+    key: token.key || null,
+    name: token.name,
+    collectionName: token.collectionName,
+    origin: token.origin
+  };
+}
+
+// Preview a token migration: every spacing field bound to a source token is rebound to its target token
+// mapping: [{ from: { id | key }, to: { id | key } }] (old → new), scope: 'selection', 'page' or 'document'
+async function planTokenMigration(mapping, scope) {
+  const tokens = await getAvailableTokens();
+  const findToken = ref => ref ? tokens.find(t => (ref.id && t.id === ref.id) || (!ref.id && ref.key && t.key === ref.key)) : null;
+  const rules = [];
+  const errors = [];
+
+  (mapping || []).forEach((row, index) => {
+    const from = findToken(row.from);
+    const to = findToken(row.to);
+    if (!from || !to) {
+      errors.push(`Fila ${index + 1}: selecciona el token de origen y el de destino`);
+    } else if (from === to) {
+      errors.push(`Fila ${index + 1}: el token de origen y el de destino son el mismo`);
+    } else if (rules.some(rule => rule.from === from)) {
+      errors.push(`Fila ${index + 1}: "${from.name}" ya tiene otro token de destino`);
     } else {
+      rules.push({ from: from, to: to, matches: createTokenMatcher(from) });
+    }
+  });
+
+  if (rules.length === 0 && errors.length === 0) {
+    errors.push('Añade al menos una fila con el token de origen y el de destino');
+  }
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: errors.join('. ')
+    };
+  }
+
+  let roots = [];
+  if (scope === 'selection') {
+    roots = figma.currentPage.selection.slice();
+    if (roots.length === 0) {
       return {
         success: false,
-        message: 'Solo se puede vincular el itemSpacing (GAP) de elementos con AutoLayout'
+        message: 'Selecciona los elementos a migrar o cambia el alcance'
       };
     }
-  } catch (error) {
+  } else {
+    const pages = scope === 'document' ? figma.root.children : [figma.currentPage];
+    for (let i = 0; i < pages.length; i++) {
+      await pages[i].loadAsync();
+      roots.push(pages[i]);
+    }
+  }
+
+  const plan = {
+    scope: scope,
+    change: [],
+    blocked: [],
+    nodes: 0
+  };
+  const nodes = findBoundSpacingNodes(roots);
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const page = getNodePage(node);
+    for (let j = 0; j < SPACING_PROPERTIES.length; j++) {
+      const definition = SPACING_PROPERTIES[j];
+      for (let k = 0; k < rules.length; k++) {
+        const rule = rules[k];
+        const fields = [];
+        for (let f = 0; f < definition.fields.length; f++) {
+          const alias = getBoundAlias(node, definition.fields[f]);
+          if (alias && await rule.matches(alias.id)) {
+            fields.push(definition.fields[f]);
+          }
+        }
+        if (fields.length === 0) continue;
+
+        const entry = {
+          key: getTargetKey(node.id, definition.property),
+          nodeId: node.id,
+          nodeName: node.name,
+          pageName: page ? page.name : null,
+          property: definition.property,
+          label: definition.label,
+          value: node[fields[0]],
+          fields: fields,
+          from: getMigrationTokenInfo(rule.from),
+          to: getMigrationTokenInfo(rule.to)
+        };
+        const blocker = getMigrationBlocker(node);
+        if (blocker) {
+          entry.reason = blocker;
+          plan.blocked.push(entry);
+        } else {
+          plan.change.push(entry);
+        }
+      }
+    }
+  }
+
+  plan.nodes = countDistinctNodes(plan.change);
+  return {
+    success: true,
+    plan: plan
+  };
+}
+
+// Helper: Count the different nodes of a list of entries
+function countDistinctNodes(entries) {
+  const nodeIds = {};
+  entries.forEach(entry => {
+    nodeIds[entry.nodeId] = true;
+  });
+  return Object.keys(nodeIds).length;
+}
+
+// Rebind the fields found by planTokenMigration and report the ones that could not be changed
+async function applyTokenMigration(mapping, scope) {
+  const planResult = await planTokenMigration(mapping, scope);
+  if (!planResult.success) {
+    return planResult;
+  }
+
+  const plan = planResult.plan;
+  const summary = {
+    changed: [],
+    failed: plan.blocked.slice()
+  };
+  const targetVariables = {};
+  const batch = createChangeBatch('migration', '');
+
+  for (let i = 0; i < plan.change.length; i++) {
+    const entry = plan.change[i];
+    try {
+      // Library tokens are imported once, the first time they are needed
+      const targetKey = entry.to.id || 'key:' + entry.to.key;
+      if (!(targetKey in targetVariables)) {
+        targetVariables[targetKey] = entry.to.id
+          ? await figma.variables.getVariableByIdAsync(entry.to.id)
+          : await figma.variables.importVariableByKeyAsync(entry.to.key);
+      }
+      const variable = targetVariables[targetKey];
+      const node = await figma.getNodeByIdAsync(entry.nodeId);
+      if (!node || !variable) {
+        summary.failed.push(Object.assign({}, entry, { reason: 'No se pudo encontrar el nodo o el token' }));
+        continue;
+      }
+
+      const variableAlias = {
+        type: 'VARIABLE_ALIAS',
+        id: variable.id
+      };
+      const previousStates = captureFieldStates(node, entry.fields);
+      entry.fields.forEach(field => {
+        node.setBoundVariable(field, variableAlias);
+      });
+      batch.changes = batch.changes.concat(previousStates);
+      summary.changed.push(entry);
+    } catch (e) {
+      summary.failed.push(Object.assign({}, entry, { reason: 'Error: ' + (e.message || e.toString()) }));
+    }
+  }
+
+  summary.nodes = countDistinctNodes(summary.changed);
+  const tokenNames = [];
+  summary.changed.forEach(entry => {
+    const name = `${entry.from.name} → ${entry.to.name}`;
+    if (tokenNames.indexOf(name) === -1) tokenNames.push(name);
+  });
+  batch.label = `Migración: ${tokenNames.join(', ')}`;
+  saveChangeBatch(batch);
+
+  return {
+    success: summary.changed.length > 0,
+    message: `${summary.changed.length} propiedades migradas en ${summary.nodes} nodos, ${summary.failed.length} sin cambiar`,
+    summary: summary
+  };
+}
+
+// Select several nodes on the canvas
+// A selection can only hold nodes of one page: the current page is used if it has any, otherwise the page with most nodes
+async function selectNodes(nodeIds) {
+  const groups = {};
+  let found = 0;
+  for (let i = 0; i < nodeIds.length; i++) {
+    const node = await figma.getNodeByIdAsync(nodeIds[i]);
+    if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') continue;
+    const page = getNodePage(node);
+    if (!page) continue;
+    if (!groups[page.id]) {
+      groups[page.id] = { page: page, nodes: [] };
+    }
+    groups[page.id].nodes.push(node);
+    found++;
+  }
+
+  const pageIds = Object.keys(groups);
+  if (pageIds.length === 0) {
     return {
       success: false,
-      message: `Error: ${error.message}`
+      message: 'No se pudo encontrar ninguno de los nodos'
     };
   }
+
+  const targetId = groups[figma.currentPage.id]
+    ? figma.currentPage.id
+    : pageIds.sort((a, b) => groups[b].nodes.length - groups[a].nodes.length)[0];
+  const target = groups[targetId];
+  if (target.page.id !== figma.currentPage.id) {
+    await figma.setCurrentPageAsync(target.page);
+  }
+
+  figma.currentPage.selection = target.nodes;
+  figma.viewport.scrollAndZoomIntoView(target.nodes);
+
+  const otherPages = found - target.nodes.length;
+  return {
+    success: true,
+    message: (target.nodes.length === 1 ? '1 nodo seleccionado' : `${target.nodes.length} nodos seleccionados`) + ` en "${target.page.name}"` +
+      (otherPages > 0 ? ` (${otherPages} en otras páginas)` : '')
+  };
+}
+
+// Change log of link operations, stored as plugin data on the document root (newest batch first)
+// Each batch keeps, per node field, the value and binding it had before the operation so it can be reverted
+const CHANGE_LOG_KEY = 'gapChangeLog';
+const CHANGE_LOG_MAX_BATCHES = 30;
+// Plugin data entries are limited in size: older batches are dropped to stay below this length
+const CHANGE_LOG_MAX_LENGTH = 90000;
+
+// Helper: Read the change log (an empty list if there is none or it can't be read)
+function readChangeLog() {
+  try {
+    const stored = figma.root.getPluginData(CHANGE_LOG_KEY);
+    const log = stored ? JSON.parse(stored) : [];
+    return Array.isArray(log) ? log : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeChangeLog(log) {
+  let batches = log.slice(0, CHANGE_LOG_MAX_BATCHES);
+  let json = JSON.stringify(batches);
+  while (json.length > CHANGE_LOG_MAX_LENGTH && batches.length > 1) {
+    batches = batches.slice(0, batches.length - 1);
+    json = JSON.stringify(batches);
+  }
+  figma.root.setPluginData(CHANGE_LOG_KEY, json);
+}
+
+// Helper: Start a batch for an operation. type: 'link', 'suggestion', 'bulk-link', 'migration', 'reset-override', 'repair' or 'lint-fix'
+function createChangeBatch(type, label) {
+  const user = figma.currentUser;
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    type: type,
+    label: label,
+    date: new Date().toISOString(),
+    user: user ? { id: user.id, name: user.name } : null,
+    changes: [],
+    revertedAt: null,
+    revertedBy: null
+  };
+}
+
+// Helper: Capture the current value and binding of node fields (taken before changing them)
+function captureFieldStates(node, fields) {
+  return fields.map(field => {
+    const alias = getBoundAlias(node, field);
+    return {
+      nodeId: node.id,
+      nodeName: node.name,
+      field: field,
+      value: typeof node[field] === 'number' ? node[field] : null,
+      variableId: alias ? alias.id : null
+    };
+  });
+}
+
+// Helper: Fields written when linking a property or property group
+function getLinkFields(gapType) {
+  return getLinkProperties(gapType).reduce((fields, definition) => fields.concat(definition.fields), []);
+}
+
+// Helper: Add a batch to the change log (batches without changes are not stored)
+function saveChangeBatch(batch) {
+  if (batch.changes.length === 0) return;
+  try {
+    writeChangeLog([batch].concat(readChangeLog()));
+  } catch (e) {
+    // The operation itself succeeded: a log that can't be written is not an error for the user
+  }
+}
+
+// List the batches of the change log for the history panel (without the per-field details)
+function getChangeLog() {
+  return {
+    success: true,
+    batches: readChangeLog().map(batch => {
+      const nodeIds = {};
+      (batch.changes || []).forEach(change => {
+        nodeIds[change.nodeId] = true;
+      });
+      return {
+        id: batch.id,
+        type: batch.type,
+        label: batch.label,
+        date: batch.date,
+        user: batch.user,
+        nodes: Object.keys(nodeIds).length,
+        fields: (batch.changes || []).length,
+        revertedAt: batch.revertedAt,
+        revertedBy: batch.revertedBy
+      };
+    })
+  };
+}
+
+// Restore the values and bindings recorded in a batch
+async function revertChangeBatch(batchId) {
+  const log = readChangeLog();
+  const batch = log.find(b => b.id === batchId);
+  if (!batch) {
+    return {
+      success: false,
+      message: 'No se encontró la operación en el historial'
+    };
+  }
+  if (batch.revertedAt) {
+    return {
+      success: false,
+      message: 'Esta operación ya se revirtió'
+    };
+  }
+
+  const failed = [];
+  let restored = 0;
+  const variables = {};
+  // Undo in reverse order so a field changed twice in the batch ends with its first value
+  for (let i = batch.changes.length - 1; i >= 0; i--) {
+    const change = batch.changes[i];
+    try {
+      const node = await figma.getNodeByIdAsync(change.nodeId);
+      if (!node) {
+        failed.push({ nodeId: change.nodeId, nodeName: change.nodeName, reason: 'El nodo ya no existe' });
+        continue;
+      }
+
+      if (change.variableId) {
+        if (!(change.variableId in variables)) {
+          variables[change.variableId] = await figma.variables.getVariableByIdAsync(change.variableId);
+        }
+        if (!variables[change.variableId]) {
+          failed.push({ nodeId: change.nodeId, nodeName: change.nodeName, reason: 'El token anterior ya no existe' });
+          continue;
+        }
+        node.setBoundVariable(change.field, { type: 'VARIABLE_ALIAS', id: change.variableId });
+      } else {
+        node.setBoundVariable(change.field, null);
+        if (typeof change.value === 'number') {
+          node[change.field] = change.value;
+        }
+      }
+      restored++;
+    } catch (e) {
+      failed.push({ nodeId: change.nodeId, nodeName: change.nodeName, reason: 'Error: ' + (e.message || e.toString()) });
+    }
+  }
+
+  const user = figma.currentUser;
+  batch.revertedAt = new Date().toISOString();
+  batch.revertedBy = user ? { id: user.id, name: user.name } : null;
+  writeChangeLog(log);
+
+  return {
+    success: restored > 0,
+    message: `${restored} propiedades restauradas` + (failed.length > 0 ? `, ${failed.length} no se pudieron restaurar` : ''),
+    failed: failed
+  };
+}
+
+// Reset the override of a property on an instance layer to its main component:
+// the instance takes the token of the main component or, if it has none, its value
+async function resetInstanceOverride(nodeId, gapType) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node) {
+    return {
+      success: false,
+      message: 'No se pudo encontrar el nodo seleccionado'
+    };
+  }
+
+  const main = await getMainCounterpart(node);
+  if (!main) {
+    return {
+      success: false,
+      message: 'El elemento no es una instancia ni forma parte de una'
+    };
+  }
+
+  const definitions = getLinkProperties(gapType);
+  if (definitions.length === 0 || !definitions.every(d => isPropertyApplicable(node, d) && isPropertyApplicable(main, d))) {
+    return {
+      success: false,
+      message: `No se puede restablecer ${getLinkLabel(gapType)} en este elemento`
+    };
+  }
+
+  try {
+    const fields = getLinkFields(gapType);
+    const batch = createChangeBatch('reset-override', `${getLinkLabel(gapType)} de "${node.name}" restablecido al componente`);
+    batch.changes = captureFieldStates(node, fields);
+    fields.forEach(field => {
+      const mainAlias = getBoundAlias(main, field);
+      if (mainAlias) {
+        node.setBoundVariable(field, { type: 'VARIABLE_ALIAS', id: mainAlias.id });
+      } else {
+        node.setBoundVariable(field, null);
+        node[field] = main[field];
+      }
+    });
+    saveChangeBatch(batch);
+  } catch (e) {
+    return {
+      success: false,
+      message: 'Error al restablecer el override: ' + (e.message || e.toString())
+    };
+  }
+
+  return {
+    success: true,
+    message: `${getLinkLabel(gapType)} restablecido al valor del componente principal`
+  };
+}
+
+// Repair broken bindings (deleted variable, disabled library, wrong type or unresolved alias)
+// repairs: [{ nodeId, property, action, tokenId, tokenKey }] where action is 'link' (rebind to the token,
+// tokenKey imports a library token) or 'detach' (unbind and keep the current value as a literal value)
+async function repairBrokenBindings(repairs) {
+  const summary = {
+    repaired: [],
+    failed: []
+  };
+  const variables = {};
+  const batch = createChangeBatch('repair', '');
+
+  for (let i = 0; i < repairs.length; i++) {
+    const repair = repairs[i];
+    const entry = {
+      nodeId: repair.nodeId,
+      nodeName: null,
+      property: repair.property,
+      label: getLinkLabel(repair.property),
+      action: repair.action
+    };
+
+    try {
+      const node = await figma.getNodeByIdAsync(repair.nodeId);
+      const definition = getSpacingProperty(repair.property);
+      const info = node && definition && hasAutoLayout(node) ? await getPropertyInfo(node, definition) : null;
+      entry.nodeName = node ? node.name : null;
+      entry.value = info ? info.value : null;
+      if (!info) {
+        summary.failed.push(Object.assign(entry, { reason: 'No se pudo encontrar el nodo o la propiedad' }));
+        continue;
+      }
+      if (info.status !== 'broken') {
+        summary.failed.push(Object.assign(entry, { reason: 'El vínculo ya no está roto' }));
+        continue;
+      }
+
+      const previousStates = captureFieldStates(node, definition.fields);
+      if (repair.action === 'detach') {
+        definition.fields.forEach(field => {
+          const value = node[field];
+          node.setBoundVariable(field, null);
+          if (typeof value === 'number') {
+            node[field] = value;
+          }
+        });
+      } else {
+        // Library tokens are imported once, the first time they are needed
+        const variableKey = repair.tokenId || 'key:' + repair.tokenKey;
+        if (!(variableKey in variables)) {
+          variables[variableKey] = repair.tokenId
+            ? await figma.variables.getVariableByIdAsync(repair.tokenId)
+            : await figma.variables.importVariableByKeyAsync(repair.tokenKey);
+        }
+        const variable = variables[variableKey];
+        if (!variable) {
+          summary.failed.push(Object.assign(entry, { reason: 'No se pudo encontrar el token' }));
+          continue;
+        }
+        bindGapToVariable(node, repair.property, variable);
+        entry.token = variable.name;
+      }
+      batch.changes = batch.changes.concat(previousStates);
+      summary.repaired.push(entry);
+    } catch (e) {
+      summary.failed.push(Object.assign(entry, { reason: 'Error: ' + (e.message || e.toString()) }));
+    }
+  }
+
+  batch.label = `Reparación de vínculos rotos (${summary.repaired.length} propiedades)`;
+  saveChangeBatch(batch);
+
+  return {
+    success: summary.repaired.length > 0,
+    message: `${summary.repaired.length} vínculos reparados` + (summary.failed.length > 0 ? `, ${summary.failed.length} no se pudieron reparar` : ''),
+    summary: summary
+  };
+}
+
+// Apply the fixes of lint issues (see lintAuditResults)
+// fixes: [{ nodeId, property, fix }] where fix is { type: 'link', tokenId } (bind the token),
+// { type: 'set-value', value } (set the value) or { type: 'clear' } (unbind and set the gap to 0)
+async function applyLintFixes(fixes) {
+  const summary = {
+    fixed: [],
+    failed: []
+  };
+  const batch = createChangeBatch('lint-fix', '');
+
+  for (let i = 0; i < fixes.length; i++) {
+    const item = fixes[i];
+    const fix = item.fix || {};
+    const entry = {
+      nodeId: item.nodeId,
+      nodeName: null,
+      property: item.property,
+      label: getLinkLabel(item.property)
+    };
+
+    try {
+      const node = await figma.getNodeByIdAsync(item.nodeId);
+      const definition = getSpacingProperty(item.property);
+      entry.nodeName = node ? node.name : null;
+      if (!node || !definition || !isPropertyApplicable(node, definition)) {
+        summary.failed.push(Object.assign(entry, { reason: 'No se pudo encontrar el nodo o la propiedad' }));
+        continue;
+      }
+      entry.value = node[definition.fields[0]];
+
+      const previousStates = captureFieldStates(node, definition.fields);
+      if (fix.type === 'link') {
+        const variable = await figma.variables.getVariableByIdAsync(fix.tokenId);
+        if (!variable) {
+          summary.failed.push(Object.assign(entry, { reason: 'No se pudo encontrar el token' }));
+          continue;
+        }
+        bindGapToVariable(node, item.property, variable);
+      } else if (fix.type === 'set-value' || fix.type === 'clear') {
+        const value = fix.type === 'clear' ? 0 : parseFloat(fix.value);
+        if (isNaN(value)) {
+          summary.failed.push(Object.assign(entry, { reason: 'Valor no válido' }));
+          continue;
+        }
+        definition.fields.forEach(field => {
+          node.setBoundVariable(field, null);
+          node[field] = value;
+        });
+      } else {
+        summary.failed.push(Object.assign(entry, { reason: 'Corrección desconocida' }));
+        continue;
+      }
+      batch.changes = batch.changes.concat(previousStates);
+      summary.fixed.push(entry);
+    } catch (e) {
+      summary.failed.push(Object.assign(entry, { reason: 'Error: ' + (e.message || e.toString()) }));
+    }
+  }
+
+  batch.label = `Corrección de reglas de consistencia (${summary.fixed.length} propiedades)`;
+  saveChangeBatch(batch);
+
+  return {
+    success: summary.fixed.length > 0,
+    message: `${summary.fixed.length} propiedades corregidas` + (summary.failed.length > 0 ? `, ${summary.failed.length} no se pudieron corregir` : ''),
+    summary: summary
+  };
+}
+
+// Helper: Bind a variable to the fields of a spacing property (or property group) of an auto-layout node
+// Returns false when the property cannot be bound (unknown property, not applicable or no Auto Layout)
+function bindGapToVariable(node, gapType, variable) {
+  const definitions = getLinkProperties(gapType);
+  if (definitions.length === 0 || !definitions.every(d => isPropertyApplicable(node, d))) {
+    return false;
+  }
+
+  const variableAlias = {
+    type: 'VARIABLE_ALIAS',
+    id: variable.id
+  };
+  definitions.forEach(definition => {
+    definition.fields.forEach(field => {
+      node.setBoundVariable(field, variableAlias);
+    });
+  });
+  return true;
+}
+
+// Helper: Get the current value of a spacing property (first field of a property group)
+function getLinkValue(node, gapType) {
+  const definitions = getLinkProperties(gapType);
+  if (definitions.length === 0) {
+    return null;
+  }
+  const value = node[definitions[0].fields[0]];
+  return typeof value === 'number' ? value : null;
+}
+
+// Helper: Read a per-mode value sent by the UI (numbers or numeric strings), null if missing or invalid
+function getModeInputValue(valuesByMode, modeId) {
+  if (!valuesByMode || valuesByMode[modeId] === undefined || valuesByMode[modeId] === null || valuesByMode[modeId] === '') {
+    return null;
+  }
+  const value = typeof valuesByMode[modeId] === 'number' ? valuesByMode[modeId] : parseFloat(valuesByMode[modeId]);
+  return !isNaN(value) && isFinite(value) ? value : null;
+}
+
+// Helper: Property group used by the naming template ({group}): gap, padding or radius
+function getNamingGroup(gapType) {
+  if (gapType === 'cornerRadius') return 'radius';
+  return gapType.indexOf('padding') === 0 ? 'padding' : 'gap';
+}
+
+// Helper: Name proposed by the naming template of the settings ({value}, {property}, {group})
+// Dots are not allowed in variable names, so 1.5 becomes 1_5
+function getTemplateTokenName(gapType, value) {
+  const template = pluginConfig.namingTemplate || DEFAULT_CONFIG.namingTemplate;
+  return template
+    .replace(/\{value\}/g, String(value).replace(/\./g, '_'))
+    .replace(/\{property\}/g, gapType)
+    .replace(/\{group\}/g, getNamingGroup(gapType));
+}
+
+// Helper: Variable name without the spaces around its groups ("space / md" -> "space/md")
+function normalizeTokenName(name) {
+  return String(name || '').split('/').map(group => group.trim()).join('/');
+}
+
+// Helper: Check a new variable name against Figma's naming rules and the variables of the target collection
+// Slashes create groups: groups can't be empty, and a name can't be both a variable and a group
+// Returns the reason the name can't be used, or null
+function getTokenNameError(name, collectionVariables) {
+  const normalized = normalizeTokenName(name);
+  if (normalized === '') {
+    return 'El nombre del token no puede estar vacío';
+  }
+  if (/[.{}]/.test(normalized)) {
+    return 'El nombre del token no puede contener los caracteres . { }';
+  }
+  if (normalized.split('/').some(group => group === '')) {
+    return 'Los grupos del nombre (separados por /) no pueden estar vacíos';
+  }
+  if (collectionVariables.some(v => v.name === normalized)) {
+    return `Ya existe un token "${normalized}" en esta colección`;
+  }
+  if (collectionVariables.some(v => v.name.indexOf(normalized + '/') === 0)) {
+    return `"${normalized}" es un grupo de tokens en esta colección`;
+  }
+  const parent = collectionVariables.find(v => normalized.indexOf(v.name + '/') === 0);
+  if (parent) {
+    return `"${parent.name}" es un token de esta colección y no puede usarse como grupo`;
+  }
+  return null;
+}
+
+// Helper: First valid name for a collection starting from a proposed one ("gap/16", then "gap/16-2"…)
+function getFreeTokenName(name, collectionVariables) {
+  let candidate = normalizeTokenName(name);
+  for (let i = 2; i < 100 && getTokenNameError(candidate, collectionVariables); i++) {
+    candidate = `${normalizeTokenName(name)}-${i}`;
+  }
+  return getTokenNameError(candidate, collectionVariables) ? normalizeTokenName(name) : candidate;
+}
+
+// Helper: Local variables of a collection (any type: names are unique per collection)
+async function getCollectionVariables(collectionId) {
+  const variables = await figma.variables.getLocalVariablesAsync();
+  return variables.filter(v => v.variableCollectionId === collectionId);
+}
+
+// Preview of a new token: name proposed by the template (free in the collection), check of the typed name,
+// and tokens of the collection with the same value (default mode) that could be reused instead
+// options: { gapType, collectionId, value, name (only when typed by the user) }
+async function planNewToken(options) {
+  refreshTeamConfig();
+  const collectionId = options.collectionId || pluginConfig.defaultCollectionId;
+  const variables = collectionId ? await getCollectionVariables(collectionId) : [];
+  const value = typeof options.value === 'number' ? options.value : parseFloat(options.value);
+  const hasValue = !isNaN(value) && isFinite(value);
+
+  const suggestedName = hasValue ? getFreeTokenName(getTemplateTokenName(options.gapType, value), variables) : '';
+  const name = options.name !== null && options.name !== undefined ? options.name : suggestedName;
+
+  let duplicates = [];
+  if (collectionId && hasValue) {
+    const tokens = getAllowedTokens(await getAvailableTokens(), options.gapType);
+    duplicates = tokens
+      .filter(token => token.origin === 'local' && token.collectionId === collectionId && gapValuesMatch(token.value, value))
+      .map(token => ({
+        tokenId: token.id,
+        name: token.name,
+        fullPath: getTokenFullPath(token),
+        value: token.value,
+        modeValues: token.modeValues
+      }));
+  }
+
+  return {
+    success: true,
+    requestId: options.requestId,
+    gapType: options.gapType,
+    suggestedName: suggestedName,
+    nameError: name ? getTokenNameError(name, variables) : null,
+    duplicates: duplicates
+  };
+}
+
+// Link gap to design token
+// tokenValuesByMode (optional) holds the value for each mode of the collection when creating a token;
+// modes without a value get tokenValue. tokenKey links a team library variable (imported on demand)
+async function linkGapToToken(nodeId, tokenName, gapType, tokenId, tokenValue, collectionId, tokenValuesByMode, tokenKey) {
+  refreshTeamConfig();
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node || !isFrameOrAutoLayout(node)) {
+      return {
+        success: false,
+        message: 'No se pudo encontrar el nodo seleccionado'
+      };
+    }
+
+    // Validate AutoLayout
+    if (node.layoutMode === 'NONE') {
+      return {
+        success: false,
+        message: 'El elemento no tiene AutoLayout habilitado'
+      };
+    }
+
+    if (!figma.variables) {
+      return {
+        success: false,
+        message: 'La API de Variables no está disponible en tu versión de Figma'
+      };
+    }
+
+    let variable = null;
+
+    // Use existing token if ID provided
+    if (tokenId) {
+      try {
+        variable = await figma.variables.getVariableByIdAsync(tokenId);
+        if (!variable) {
+          return {
+            success: false,
+            message: 'No se pudo encontrar el token seleccionado'
+          };
+        }
+      } catch (e) {
+        return {
+          success: false,
+          message: 'Error al obtener el token: ' + (e.message || e.toString())
+        };
+      }
+    } else if (tokenKey) {
+      // Import the team library variable into the file
+      try {
+        variable = await figma.variables.importVariableByKeyAsync(tokenKey);
+        if (!variable) {
+          return {
+            success: false,
+            message: 'No se pudo importar el token de la librería'
+          };
+        }
+      } catch (e) {
+        return {
+          success: false,
+          message: 'Error al importar el token de la librería: ' + (e.message || e.toString())
+        };
+      }
+    } else {
+      // Create a new variable in the chosen collection (without one, in the default collection of the settings)
+      // Names are only checked against that collection: a variable with the same name in another collection
+      // is a different token, so it is never reused here, and a collision in the collection is refused
+      if (!collectionId) {
+        collectionId = pluginConfig.defaultCollectionId;
+      }
+      if (!collectionId) {
+        return {
+          success: false,
+          message: 'Selecciona la colección donde crear el token'
+        };
+      }
+      const nameError = getTokenNameError(tokenName, await getCollectionVariables(collectionId));
+      if (nameError) {
+        return {
+          success: false,
+          message: nameError
+        };
+      }
+      tokenName = normalizeTokenName(tokenName);
+
+      // Determine the value to use: provided value or current gap value
+      // tokenValue comes from the UI input field "Gap"
+      // tokenValue should be a valid number (can be 0 or positive)
+      // IMPORTANT: tokenValue is the value the user typed in the input field
+      let gapValue = null;
+      
+      // Convert tokenValue to number if it's a string (postMessage might serialize it)
+      let numericTokenValue = null;
+      if (tokenValue !== null && tokenValue !== undefined) {
+        if (typeof tokenValue === 'number') {
+          numericTokenValue = tokenValue;
+        } else if (typeof tokenValue === 'string') {
+          // Parse string to number
+          const parsed = parseFloat(tokenValue);
+          if (!isNaN(parsed) && isFinite(parsed)) {
+            numericTokenValue = parsed;
+          }
+        }
+      }
+      
+      // Check if we have a valid numeric value
+      if (numericTokenValue !== null && numericTokenValue !== undefined && typeof numericTokenValue === 'number' && !isNaN(numericTokenValue) && isFinite(numericTokenValue)) {
+        // Use the value from the input field (this is the Gap value)
+        gapValue = numericTokenValue;
+      } else {
+        // Fallback to the current property value only if tokenValue is truly invalid
+        const currentValue = getLinkValue(node, gapType);
+        gapValue = currentValue !== null ? currentValue : 0;
+      }
+
+      // Get the actual collection node of the chosen collection
+      // In incremental mode, we need to ensure we have the actual collection node
+      // Clear cache first to get fresh collection objects
+      variableCollectionsCache = null;
+      let collectionNode = null;
+      try {
+        // Get fresh collection objects from API (these should be proper VariableCollection nodes)
+        const collections = await getAllVariableCollections();
+        if (collections && collections.length > 0) {
+          collectionNode = collections.find(function(c) {
+            return c && c.id === collectionId;
+          });
+        }
+
+        // Verify it's a valid collection node
+        if (collectionNode && collectionNode.type && collectionNode.type !== 'VARIABLE_COLLECTION') {
+          collectionNode = null;
+        }
+      } catch (e) {
+        // Collection lookup failed
+        collectionNode = null;
+      }
+      if (!collectionNode) {
+        return {
+          success: false,
+          message: 'No se encontró la colección donde crear el token'
+        };
+      }
+
+      // Create new variable
+      try {
+        // In incremental mode, createVariable accepts the collection as a parameter directly
+        // Signature: createVariable(name, collection, type)
+        // Create variable with collection passed directly as parameter (not as ID)
+        // This ensures the variable is created in the collection from the start in incremental mode
+        variable = figma.variables.createVariable(tokenName.trim(), collectionNode, 'FLOAT');
+        
+        // Clear cache after creating variable in collection
+        variableCollectionsCache = null;
+        
+        // IMPORTANT: Use collection's modes directly since variable.modes might not be immediately available
+        // after creating the variable. The variable inherits the collection's modes, so we can use collection's mode IDs
+        if (collectionNode.modes && collectionNode.modes.length > 0) {
+          // Determine which mode to use - use collection's defaultModeId or first mode
+          // This should match what getVariableValueForActiveMode will use to read
+          let modeIdToUse = null;
+          
+          // Use collection's defaultModeId or first mode (same logic as when reading)
+          if (collectionNode.defaultModeId) {
+            modeIdToUse = collectionNode.defaultModeId;
+          } else {
+            modeIdToUse = collectionNode.modes[0].modeId;
+          }
+          
+          // Set the value in the determined mode
+          // The gapValue comes from the user input in the campo "Gap"
+          // Verify gapValue is valid before setting
+          if (gapValue !== null && gapValue !== undefined && typeof gapValue === 'number' && !isNaN(gapValue) && isFinite(gapValue) && modeIdToUse) {
+            // Set value in the primary mode using the mode ID from the collection
+            variable.setValueForMode(modeIdToUse, gapValue);
+            
+            // Verify the value was set correctly immediately after setting
+            try {
+              let verifyValue = null;
+              if (variable.getValueForMode) {
+                verifyValue = variable.getValueForMode(modeIdToUse);
+              } else if (variable.valuesByMode && variable.valuesByMode[modeIdToUse] !== undefined) {
+                verifyValue = variable.valuesByMode[modeIdToUse];
+              }
+              
+              // If value is still 0 or null (and gapValue is not 0), try setting again
+              if ((verifyValue === null || verifyValue === undefined || verifyValue === 0) && gapValue !== 0) {
+                // Set value in all collection modes as fallback
+                for (let i = 0; i < collectionNode.modes.length; i++) {
+                  const collectionModeId = collectionNode.modes[i].modeId;
+                  if (collectionModeId) {
+                    variable.setValueForMode(collectionModeId, gapValue);
+                  }
+                }
+              }
+            } catch (e) {
+              // Set value in all collection modes as fallback
+              for (let i = 0; i < collectionNode.modes.length; i++) {
+                const collectionModeId = collectionNode.modes[i].modeId;
+                if (collectionModeId) {
+                  variable.setValueForMode(collectionModeId, gapValue);
+                }
+              }
+            }
+            
+            // Also set the value in all other collection modes to ensure it's available everywhere
+            // Use the per-mode value typed in the UI when there is one
+            for (let i = 0; i < collectionNode.modes.length; i++) {
+              const otherModeId = collectionNode.modes[i].modeId;
+              if (otherModeId && otherModeId !== modeIdToUse) {
+                const otherModeValue = getModeInputValue(tokenValuesByMode, otherModeId);
+                variable.setValueForMode(otherModeId, otherModeValue !== null ? otherModeValue : gapValue);
+              }
+            }
+          }
+        }
+      } catch (createError) {
+        return {
+          success: false,
+          message: `Error al crear el token: ${createError.message}`
+        };
+      }
+      
+      // Clear cache to refresh collections
+      variableCollectionsCache = null;
+    }
+
+    // Apply variable to the property fields (GAP, padding, radius...)
+    const previousStates = captureFieldStates(node, getLinkFields(gapType));
+    if (bindGapToVariable(node, gapType, variable)) {
+      const batch = createChangeBatch('link', `${getLinkLabel(gapType)} de "${node.name}" → ${variable.name}`);
+      batch.changes = previousStates;
+      saveChangeBatch(batch);
+      // Get the token value for the response
+      // Try to get value from the variable using the active mode
+      let tokenValue = null;
+      
+      // Try getVariableValueForActiveMode first (more reliable for collection variables)
+      if (variable.variableCollectionId) {
+        try {
+          tokenValue = await getVariableValueForActiveMode(variable, node);
+        } catch (e) {
+          // Fallback to getVariableValue if getVariableValueForActiveMode fails
+          tokenValue = getVariableValue(variable);
+        }
+      } else {
+        // For variables without collection, use standard method
+        tokenValue = getVariableValue(variable);
+      }
+      
+      // If we still don't have a value, try to get it from the first mode
+      if (tokenValue === null || tokenValue === undefined) {
+        if (variable.modes && variable.modes.length > 0) {
+          const firstModeId = variable.modes[0].modeId;
+          if (variable.getValueForMode) {
+            try {
+              tokenValue = variable.getValueForMode(firstModeId);
+            } catch (e) {
+              // Error reading value
+            }
+          }
+          if ((tokenValue === null || tokenValue === undefined) && variable.valuesByMode) {
+            tokenValue = variable.valuesByMode[firstModeId];
+          }
+        }
+      }
+
+      return {
+        success: true,
+        message: `${getLinkLabel(gapType)} vinculado correctamente al token "${variable.name}"`,
+        tokenName: variable.name,
+        tokenValue: tokenValue
+      };
+    } else {
+      return {
+        success: false,
+        message: `No se puede vincular ${getLinkLabel(gapType)} en este elemento (requiere AutoLayout${gapType === 'counterAxisSpacing' ? ' con ajuste de línea' : ''})`
+      };
+    }
+  } catch (error) {
+    return {
+      success: false,
+      message: `Error: ${error.message}`
+    };
+  }
+}
+
+// Helper: Compare two gap values ignoring floating point noise
+function gapValuesMatch(a, b) {
+  return typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) < 0.001;
+}
+
+// Helper: Key of a bulk link target (node + property)
+function getTargetKey(nodeId, property) {
+  return nodeId + '|' + property;
+}
+
+// Plan a bulk link: for every hardcoded property, find the tokens with exactly the same value
+// Targets with one match are linked, several matches are ambiguous, the rest are skipped
+// targets: [{ nodeId, property }]
+async function planBulkLink(targets) {
+  refreshTeamConfig();
+  const tokens = await getAvailableTokens();
+  const plan = {
+    link: [],
+    ambiguous: [],
+    skipped: []
+  };
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    const property = target.property || 'itemSpacing';
+    const node = await figma.getNodeByIdAsync(target.nodeId);
+    const gapInfo = node ? await getGapInfo(node) : null;
+    const info = gapInfo && gapInfo.properties
+      ? gapInfo.properties.find(p => p.property === property)
+      : null;
+
+    const entry = {
+      key: getTargetKey(target.nodeId, property),
+      nodeId: target.nodeId,
+      nodeName: node ? node.name : null,
+      property: property,
+      label: getLinkLabel(property),
+      value: info ? info.value : null
+    };
+
+    if (!info) {
+      entry.reason = gapInfo && gapInfo.hasAutoLayout ? 'Propiedad no aplicable' : 'Sin AutoLayout';
+      plan.skipped.push(entry);
+      continue;
+    }
+
+    if (info.status !== 'hardcoded') {
+      entry.reason = info.status === 'tokenized' ? 'Ya tokenizado' : 'Vínculo roto';
+      plan.skipped.push(entry);
+      continue;
+    }
+
+    // Compare with the token value for the modes the node uses
+    const matches = getAllowedTokens(tokens, property)
+      .filter(t => gapValuesMatch(getTokenValueForModes(t, gapInfo.variableModes), info.value));
+    if (matches.length === 0) {
+      entry.reason = 'Ningún token con este valor';
+      plan.skipped.push(entry);
+    } else if (matches.length === 1) {
+      entry.token = matches[0];
+      plan.link.push(entry);
+    } else {
+      entry.candidates = matches;
+      plan.ambiguous.push(entry);
+    }
+  }
+
+  return {
+    success: true,
+    plan: plan
+  };
+}
+
+// Apply a bulk link: link every unambiguous match, plus the ambiguous targets
+// for which the user picked a token in the preview (choices: target key -> tokenId)
+async function applyBulkLink(targets, choices) {
+  const planResult = await planBulkLink(targets);
+  const plan = planResult.plan;
+  const summary = {
+    linked: [],
+    ambiguous: [],
+    skipped: plan.skipped.slice()
+  };
+
+  const toLink = plan.link.slice();
+  for (let i = 0; i < plan.ambiguous.length; i++) {
+    const entry = plan.ambiguous[i];
+    const chosenId = choices && choices[entry.key];
+    const chosen = chosenId ? entry.candidates.find(t => t.id === chosenId) : null;
+    if (chosen) {
+      toLink.push(Object.assign({}, entry, { token: chosen }));
+    } else {
+      summary.ambiguous.push(entry);
+    }
+  }
+
+  const batch = createChangeBatch('bulk-link', 'Vinculación automática');
+  for (let i = 0; i < toLink.length; i++) {
+    const entry = toLink[i];
+    try {
+      const node = await figma.getNodeByIdAsync(entry.nodeId);
+      const variable = await figma.variables.getVariableByIdAsync(entry.token.id);
+      const previousStates = node ? captureFieldStates(node, getLinkFields(entry.property)) : [];
+      if (!node || !variable) {
+        summary.skipped.push(Object.assign({}, entry, { reason: 'No se pudo encontrar el nodo o el token' }));
+      } else if (bindGapToVariable(node, entry.property, variable)) {
+        batch.changes = batch.changes.concat(previousStates);
+        summary.linked.push(entry);
+      } else {
+        summary.skipped.push(Object.assign({}, entry, { reason: 'Propiedad no aplicable' }));
+      }
+    } catch (e) {
+      summary.skipped.push(Object.assign({}, entry, { reason: 'Error: ' + (e.message || e.toString()) }));
+    }
+  }
+
+  batch.label = `Vinculación automática (${summary.linked.length} propiedades)`;
+  saveChangeBatch(batch);
+
+  return {
+    success: summary.linked.length > 0,
+    message: `${summary.linked.length} propiedades vinculadas, ${summary.ambiguous.length} ambiguas, ${summary.skipped.length} omitidas`,
+    summary: summary
+  };
+}
+
+// Apply a suggestion: snap the property to the token value and bind the token
+async function applySuggestion(nodeId, tokenId, gapType) {
+  const property = gapType || 'itemSpacing';
+
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node || !hasAutoLayout(node)) {
+      return {
+        success: false,
+        message: 'No se pudo encontrar el nodo seleccionado'
+      };
+    }
+
+    const variable = await figma.variables.getVariableByIdAsync(tokenId);
+    if (!variable) {
+      return {
+        success: false,
+        message: 'No se pudo encontrar el token sugerido'
+      };
+    }
+
+    // Use the resolved token value (aliases included) for the node's mode to snap the gap
+    const tokens = await getAvailableTokens();
+    const token = tokens.find(t => t.id === variable.id);
+    const tokenModeValue = token ? getTokenValueForModes(token, getNodeVariableModes(node)) : null;
+    const tokenValue = typeof tokenModeValue === 'number'
+      ? tokenModeValue
+      : await getVariableValueForActiveMode(variable, node);
+
+    const definitions = getLinkProperties(property);
+    if (definitions.length === 0 || !definitions.every(d => isPropertyApplicable(node, d))) {
+      return {
+        success: false,
+        message: `No se puede vincular ${getLinkLabel(property)} en este elemento`
+      };
+    }
+
+    const previousValue = getLinkValue(node, property);
+    const batch = createChangeBatch('suggestion', `${getLinkLabel(property)} de "${node.name}" ajustado a ${variable.name}`);
+    batch.changes = captureFieldStates(node, getLinkFields(property));
+    if (typeof tokenValue === 'number') {
+      definitions.forEach(definition => {
+        definition.fields.forEach(field => {
+          node[field] = tokenValue;
+        });
+      });
+    }
+    bindGapToVariable(node, property, variable);
+    saveChangeBatch(batch);
+
+    return {
+      success: true,
+      message: typeof tokenValue === 'number'
+        ? `${getLinkLabel(property)} ajustado de ${previousValue}px a ${tokenValue}px y vinculado al token "${variable.name}"`
+        : `${getLinkLabel(property)} vinculado correctamente al token "${variable.name}"`,
+      tokenName: variable.name,
+      tokenValue: tokenValue
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Error: ${error.message}`
+    };
+  }
+}
+
+// Helper: Convert a variable name ("space/md") into a W3C Design Tokens path (["space", "md"])
+// Characters not allowed in token names ('.', '{', '}') are replaced with '_'
+function getDesignTokenPath(name) {
+  return name
+    .split('/')
+    .map(part => part.trim().replace(/[.{}]/g, '_'))
+    .filter(part => part !== '');
+}
+
+// Helper: Get the name of a per-mode token set ("Collection/Mode")
+function getDesignTokenSetName(collection, mode) {
+  return `${collection.name}/${mode.name}`;
+}
+
+// Export the local spacing tokens as W3C Design Tokens Community Group JSON
+// Only FLOAT variables allowed by the token filter of the settings are exported (the same scopes, collections
+// and name patterns as suggestions). Every collection mode becomes a top-level token set ("Collection/Mode"),
+// values are dimensions in px and aliases are written as references ({group.token}), as Style Dictionary expects
+async function exportDesignTokens() {
+  refreshTeamConfig();
+  if (!figma.variables) {
+    return {
+      success: false,
+      message: 'La API de Variables no está disponible en tu versión de Figma'
+    };
+  }
+
+  try {
+    const collections = await getAllVariableCollections();
+    const variables = (await figma.variables.getLocalVariablesAsync()).filter(v => {
+      if (v.resolvedType !== 'FLOAT') return false;
+      const collection = collections.find(c => c.id === v.variableCollectionId);
+      return isSpacingToken({
+        name: v.name,
+        collectionId: v.variableCollectionId || null,
+        collectionName: collection ? collection.name || null : null,
+        scopes: Array.isArray(v.scopes) ? v.scopes : null
+      });
+    });
+    const exportedIds = {};
+    variables.forEach(v => {
+      exportedIds[v.id] = true;
+    });
+    const tokens = {};
+    const tokenSetOrder = [];
+    const warnings = [];
+    let count = 0;
+
+    for (let i = 0; i < collections.length; i++) {
+      const collection = collections[i];
+      const collectionVariables = variables
+        .filter(v => v.variableCollectionId === collection.id)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      if (collectionVariables.length === 0) continue;
+
+      for (let j = 0; j < (collection.modes || []).length; j++) {
+        const mode = collection.modes[j];
+        const setName = getDesignTokenSetName(collection, mode);
+        const set = {};
+
+        for (let k = 0; k < collectionVariables.length; k++) {
+          const variable = collectionVariables[k];
+          const path = getDesignTokenPath(variable.name);
+          const rawValue = variable.valuesByMode ? variable.valuesByMode[mode.modeId] : undefined;
+
+          let value = null;
+          if (typeof rawValue === 'number' && !isNaN(rawValue)) {
+            value = `${rawValue}px`;
+          } else if (rawValue && typeof rawValue === 'object' && rawValue.type === 'VARIABLE_ALIAS') {
+            const target = await figma.variables.getVariableByIdAsync(rawValue.id);
+            if (target && !exportedIds[target.id]) {
+              // The reference would point to a token missing from the export
+              warnings.push(`${setName}: ${variable.name} es un alias de ${target.name}, que no es un token de spacing exportado`);
+              continue;
+            }
+            if (target) {
+              value = `{${getDesignTokenPath(target.name).join('.')}}`;
+            }
+          }
+
+          if (value === null || path.length === 0) {
+            warnings.push(`${setName}: ${variable.name} no tiene un valor exportable`);
+            continue;
+          }
+
+          // Walk the groups; a name can't be a token and a group at the same time
+          let group = set;
+          let conflict = false;
+          for (let l = 0; l < path.length - 1; l++) {
+            if (!group[path[l]]) {
+              group[path[l]] = {};
+            } else if (group[path[l]].$value !== undefined) {
+              conflict = true;
+              break;
+            }
+            group = group[path[l]];
+          }
+          const tokenName = path[path.length - 1];
+          if (conflict || group[tokenName]) {
+            warnings.push(`${setName}: ${variable.name} choca con otro token o grupo del mismo nombre`);
+            continue;
+          }
+
+          group[tokenName] = {
+            $type: 'dimension',
+            $value: value
+          };
+          if (variable.description) {
+            group[tokenName].$description = variable.description;
+          }
+          group[tokenName].$extensions = {
+            'com.figma': {
+              variableId: variable.id,
+              collection: collection.name,
+              mode: mode.name
+            }
+          };
+          count++;
+        }
+
+        tokens[setName] = set;
+        tokenSetOrder.push(setName);
+      }
+    }
+
+    if (tokenSetOrder.length === 0) {
+      return {
+        success: false,
+        message: 'No hay tokens de spacing locales para exportar'
+      };
+    }
+
+    tokens.$metadata = {
+      tokenSetOrder: tokenSetOrder
+    };
+
+    return {
+      success: true,
+      message: `${count} tokens exportados en ${tokenSetOrder.length} sets`,
+      json: JSON.stringify(tokens, null, 2),
+      fileName: 'spacing.tokens.json',
+      warnings: warnings
+    };
+  } catch (e) {
+    return {
+      success: false,
+      message: 'Error al exportar los tokens: ' + (e.message || e.toString())
+    };
+  }
+}
+
+// Token types that can be imported as FLOAT spacing variables (W3C and Tokens Studio names)
+const IMPORTABLE_TOKEN_TYPES = ['dimension', 'spacing', 'sizing', 'borderRadius', 'number', 'float'];
+
+// Helper: Parse a design token value: a number, "16px", a W3C dimension object or an alias ("{core.16}")
+// Returns { value } or { alias } (reference path with dots), null if it is not a px dimension
+function parseDesignTokenValue(rawValue) {
+  if (typeof rawValue === 'number' && isFinite(rawValue)) {
+    return { value: rawValue };
+  }
+  if (typeof rawValue === 'string') {
+    const text = rawValue.trim();
+    const alias = text.match(/^\{([^{}]+)\}$/);
+    if (alias) {
+      return { alias: alias[1].trim() };
+    }
+    const dimension = text.match(/^(-?\d*\.?\d+)(px)?$/);
+    if (dimension) {
+      return { value: parseFloat(dimension[1]) };
+    }
+  }
+  if (rawValue && typeof rawValue === 'object' && typeof rawValue.value === 'number' && (!rawValue.unit || rawValue.unit === 'px')) {
+    return { value: rawValue.value };
+  }
+  return null;
+}
+
+// Helper: Format an imported or current value for the diff ("16px" or "{core.16}")
+function formatImportValue(entry) {
+  if (!entry) return null;
+  return entry.alias ? `{${entry.alias}}` : `${entry.value}px`;
+}
+
+// Helper: Walk a token group and collect its spacing tokens (names joined with '/')
+// Groups pass their $type down to their tokens; tokens of other types are ignored
+function collectDesignTokens(group, path, inheritedType, set, entries, warnings) {
+  const keys = Object.keys(group);
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const node = group[key];
+    if (key.charAt(0) === '$' || !node || typeof node !== 'object') continue;
+
+    const isToken = node.$value !== undefined || (node.value !== undefined && typeof node.value !== 'object');
+    const type = node.$type || (typeof node.type === 'string' ? node.type : null) || inheritedType;
+
+    if (!isToken) {
+      collectDesignTokens(node, path.concat(key), type, set, entries, warnings);
+      continue;
+    }
+
+    if (type && IMPORTABLE_TOKEN_TYPES.indexOf(type) === -1) continue;
+
+    const name = path.concat(key).join('/');
+    const parsed = parseDesignTokenValue(node.$value !== undefined ? node.$value : node.value);
+    if (!parsed) {
+      warnings.push(`${set.name}: ${name} no tiene un valor en px`);
+      continue;
+    }
+
+    entries.push(Object.assign({
+      collectionName: set.collectionName,
+      modeName: set.modeName,
+      name: name,
+      description: node.$description || node.description || null
+    }, parsed));
+  }
+}
+
+// Helper: Get the token sets of a design tokens file
+// Files with $metadata.tokenSetOrder have one set per "Collection/Mode" (or "Collection" for the default mode);
+// any other file is a single set imported into defaultCollectionName
+function getDesignTokenSets(data, defaultCollectionName) {
+  const order = data.$metadata && Array.isArray(data.$metadata.tokenSetOrder) ? data.$metadata.tokenSetOrder : null;
+  if (!order) {
+    return [{ name: defaultCollectionName, collectionName: defaultCollectionName, modeName: null, tokens: data }];
+  }
+
+  const names = order.filter(name => data[name]);
+  Object.keys(data).forEach(name => {
+    if (name.charAt(0) !== '$' && names.indexOf(name) === -1) {
+      names.push(name);
+    }
+  });
+
+  return names.map(name => {
+    const separator = name.lastIndexOf('/');
+    return {
+      name: name,
+      collectionName: separator > 0 ? name.slice(0, separator) : name,
+      modeName: separator > 0 ? name.slice(separator + 1) : null,
+      tokens: data[name]
+    };
+  });
+}
+
+// Helper: Get the value of a variable in a mode as an import entry ({ value } or { alias })
+async function getImportComparableValue(variable, modeId) {
+  const rawValue = variable.valuesByMode ? variable.valuesByMode[modeId] : undefined;
+  if (typeof rawValue === 'number') {
+    return { value: rawValue };
+  }
+  if (rawValue && typeof rawValue === 'object' && rawValue.type === 'VARIABLE_ALIAS') {
+    const target = await figma.variables.getVariableByIdAsync(rawValue.id);
+    return target ? { alias: getDesignTokenPath(target.name).join('.') } : null;
+  }
+  return null;
+}
+
+// Plan a design tokens import without changing anything (dry run)
+// Returns the collections and modes to create and the diff per variable and mode:
+// added, changed, unchanged, removed (local variables missing from the file) and errors (unknown aliases)
+// options: { collectionName: target collection for files without sets }
+async function planTokenImport(json, options) {
+  let data = null;
+  try {
+    data = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (e) {
+    return {
+      success: false,
+      message: 'El JSON no es válido: ' + (e.message || e.toString())
+    };
+  }
+  if (!data || typeof data !== 'object') {
+    return {
+      success: false,
+      message: 'El JSON no contiene tokens'
+    };
+  }
+
+  const defaultCollectionName = options && options.collectionName ? String(options.collectionName).trim() : 'Spacing';
+  const entries = [];
+  const warnings = [];
+  getDesignTokenSets(data, defaultCollectionName || 'Spacing').forEach(set => {
+    collectDesignTokens(set.tokens, [], null, set, entries, warnings);
+  });
+
+  if (entries.length === 0) {
+    return {
+      success: false,
+      message: 'No se encontraron tokens de spacing (dimension) en el archivo'
+    };
+  }
+
+  variableCollectionsCache = null;
+  const collections = await getAllVariableCollections();
+  const variables = (await figma.variables.getLocalVariablesAsync()).filter(v => v.resolvedType === 'FLOAT');
+
+  const plan = {
+    collections: [],
+    added: [],
+    changed: [],
+    unchanged: [],
+    removed: [],
+    errors: [],
+    warnings: warnings
+  };
+
+  // Collections and modes (new collections start with the "Mode 1" default mode)
+  const collectionInfos = {};
+  entries.forEach(entry => {
+    if (!collectionInfos[entry.collectionName]) {
+      const existing = collections.find(c => c.name === entry.collectionName) || null;
+      const defaultModeId = existing ? getCollectionDefaultModeId(existing) : null;
+      const defaultMode = existing ? (existing.modes || []).find(m => m.modeId === defaultModeId) : null;
+      collectionInfos[entry.collectionName] = {
+        name: entry.collectionName,
+        exists: !!existing,
+        collection: existing,
+        defaultModeName: defaultMode ? defaultMode.name : 'Mode 1',
+        modes: []
+      };
+      plan.collections.push(collectionInfos[entry.collectionName]);
+    }
+
+    const info = collectionInfos[entry.collectionName];
+    entry.modeName = entry.modeName || info.defaultModeName;
+    if (!info.modes.some(m => m.name === entry.modeName)) {
+      const existingMode = info.collection ? (info.collection.modes || []).find(m => m.name === entry.modeName) : null;
+      info.modes.push({ name: entry.modeName, exists: !!existingMode || (!info.exists && info.modes.length === 0) });
+    }
+  });
+
+  // Alias targets: imported tokens and existing local variables, by reference path
+  const references = {};
+  entries.forEach(entry => {
+    references[getDesignTokenPath(entry.name).join('.')] = true;
+  });
+  variables.forEach(v => {
+    references[getDesignTokenPath(v.name).join('.')] = true;
+  });
+
+  const matchedVariableIds = {};
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const info = collectionInfos[entry.collectionName];
+    const path = getDesignTokenPath(entry.name).join('/');
+    const existing = info.collection
+      ? variables.find(v => v.variableCollectionId === info.collection.id && getDesignTokenPath(v.name).join('/') === path)
+      : null;
+    const mode = info.collection ? (info.collection.modes || []).find(m => m.name === entry.modeName) : null;
+
+    const change = {
+      collectionName: entry.collectionName,
+      modeName: entry.modeName,
+      name: existing ? existing.name : entry.name,
+      before: null,
+      after: formatImportValue(entry)
+    };
+
+    if (existing) {
+      matchedVariableIds[existing.id] = true;
+    }
+
+    if (entry.alias && !references[entry.alias]) {
+      change.error = `Alias a un token que no existe: {${entry.alias}}`;
+      plan.errors.push(change);
+      continue;
+    }
+
+    if (existing && mode) {
+      change.before = formatImportValue(await getImportComparableValue(existing, mode.modeId));
+    }
+
+    if (!existing || !mode || change.before === null) {
+      plan.added.push(change);
+    } else if (change.before === change.after) {
+      plan.unchanged.push(change);
+    } else {
+      plan.changed.push(change);
+    }
+  }
+
+  // Local variables of the imported collections that are not in the file
+  plan.collections.forEach(info => {
+    if (!info.collection) return;
+    variables
+      .filter(v => v.variableCollectionId === info.collection.id && !matchedVariableIds[v.id])
+      .forEach(v => {
+        plan.removed.push({
+          collectionName: info.name,
+          modeName: null,
+          name: v.name,
+          variableId: v.id,
+          before: null,
+          after: null
+        });
+      });
+  });
+
+  // The collection node is only needed while planning
+  plan.collections = plan.collections.map(info => ({
+    name: info.name,
+    exists: info.exists,
+    modes: info.modes
+  }));
+
+  return {
+    success: true,
+    plan: plan,
+    entries: entries
+  };
+}
+
+// Apply a design tokens import: create missing collections, modes and variables, update values
+// and recreate aliases once every variable exists
+// options: { collectionName, removeMissing: also delete the local variables that are not in the file }
+async function applyTokenImport(json, options) {
+  const planResult = await planTokenImport(json, options);
+  if (!planResult.success) {
+    return planResult;
+  }
+
+  const plan = planResult.plan;
+  const failures = [];
+  const collectionsByName = {};
+
+  try {
+    // 1. Collections and modes
+    const collections = await getAllVariableCollections();
+    for (let i = 0; i < plan.collections.length; i++) {
+      const info = plan.collections[i];
+      let collection = collections.find(c => c.name === info.name) || null;
+      if (!collection) {
+        collection = figma.variables.createVariableCollection(info.name);
+        // The first imported mode reuses the default mode of the new collection
+        if (info.modes.length > 0 && collection.modes[0].name !== info.modes[0].name) {
+          collection.renameMode(collection.modes[0].modeId, info.modes[0].name);
+        }
+      }
+
+      for (let j = 0; j < info.modes.length; j++) {
+        if (collection.modes.some(m => m.name === info.modes[j].name)) continue;
+        try {
+          collection.addMode(info.modes[j].name);
+        } catch (e) {
+          failures.push(`${info.name}/${info.modes[j].name}: no se pudo crear el modo (${e.message || e.toString()})`);
+        }
+      }
+      collectionsByName[info.name] = collection;
+    }
+
+    // 2. Variables and number values; aliases wait until every variable exists
+    const pending = plan.added.concat(plan.changed);
+    const aliases = [];
+    const variables = (await figma.variables.getLocalVariablesAsync()).filter(v => v.resolvedType === 'FLOAT');
+
+    for (let i = 0; i < pending.length; i++) {
+      const change = pending[i];
+      const entry = planResult.entries.find(e => e.collectionName === change.collectionName && e.modeName === change.modeName && getDesignTokenPath(e.name).join('/') === getDesignTokenPath(change.name).join('/'));
+      const collection = collectionsByName[change.collectionName];
+      const mode = collection ? collection.modes.find(m => m.name === change.modeName) : null;
+      if (!entry || !mode) {
+        failures.push(`${change.collectionName}/${change.modeName}: ${change.name} (modo no disponible)`);
+        continue;
+      }
+
+      let variable = variables.find(v => v.variableCollectionId === collection.id && v.name === change.name);
+      if (!variable) {
+        variable = figma.variables.createVariable(change.name, collection, 'FLOAT');
+        variables.push(variable);
+      }
+      if (entry.description && !variable.description) {
+        variable.description = entry.description;
+      }
+
+      if (entry.alias) {
+        aliases.push({ variable: variable, modeId: mode.modeId, entry: entry, change: change });
+      } else {
+        variable.setValueForMode(mode.modeId, entry.value);
+      }
+    }
+
+    // 3. Aliases (targets in the same collection first)
+    for (let i = 0; i < aliases.length; i++) {
+      const alias = aliases[i];
+      const matches = variables.filter(v => getDesignTokenPath(v.name).join('.') === alias.entry.alias && v.id !== alias.variable.id);
+      const target = matches.find(v => v.variableCollectionId === alias.variable.variableCollectionId) || matches[0];
+      if (!target) {
+        failures.push(`${alias.change.collectionName}/${alias.change.modeName}: ${alias.change.name} (alias {${alias.entry.alias}} no encontrado)`);
+        continue;
+      }
+      try {
+        alias.variable.setValueForMode(alias.modeId, figma.variables.createVariableAlias(target));
+      } catch (e) {
+        failures.push(`${alias.change.collectionName}/${alias.change.modeName}: ${alias.change.name} (${e.message || e.toString()})`);
+      }
+    }
+
+    // 4. Variables missing from the file (only when requested)
+    let removedCount = 0;
+    if (options && options.removeMissing) {
+      for (let i = 0; i < plan.removed.length; i++) {
+        const variable = await figma.variables.getVariableByIdAsync(plan.removed[i].variableId);
+        if (variable) {
+          variable.remove();
+          removedCount++;
+        }
+      }
+    }
+
+    variableCollectionsCache = null;
+
+    return {
+      success: failures.length === 0,
+      message: `${plan.added.length} añadidos, ${plan.changed.length} modificados, ${removedCount} eliminados` +
+        (failures.length > 0 ? `, ${failures.length} errores` : ''),
+      failures: failures.concat(plan.errors.map(e => `${e.collectionName}/${e.modeName}: ${e.name} (${e.error})`))
+    };
+  } catch (e) {
+    variableCollectionsCache = null;
+    return {
+      success: false,
+      message: 'Error al importar los tokens: ' + (e.message || e.toString()),
+      failures: failures
+    };
+  }
+}
+
+// Helper: Generate the values of a spacing scale
+// options.progression: 'linear' (base × 1..n), 'grid' (4/8-pt: multiples of the base up to 4×base, then of 2×base),
+// 'geometric' (base × ratio^i, rounded to whole px) or 'custom' (options.values)
+function generateScaleValues(options) {
+  const base = parseFloat(options.base);
+  const steps = Math.min(Math.max(parseInt(options.steps, 10) || 0, 1), 50);
+  const values = [];
+
+  if (options.progression === 'custom') {
+    const list = Array.isArray(options.values) ? options.values : String(options.values || '').split(/[\s,;]+/);
+    list.forEach(item => {
+      const value = parseFloat(item);
+      if (!isNaN(value) && isFinite(value) && value >= 0) {
+        values.push(value);
+      }
+    });
+  } else if (!isNaN(base) && base > 0) {
+    if (options.progression === 'geometric') {
+      const ratio = parseFloat(options.ratio);
+      for (let i = 0; i < steps && ratio > 1; i++) {
+        values.push(Math.round(base * Math.pow(ratio, i)));
+      }
+    } else if (options.progression === 'grid') {
+      for (let multiple = 1; values.length < steps; multiple += multiple < 4 ? 1 : 2) {
+        values.push(base * multiple);
+      }
+    } else {
+      for (let i = 1; i <= steps; i++) {
+        values.push(base * i);
+      }
+    }
+  }
+
+  // Sorted, without duplicates (geometric rounding can repeat values)
+  return values
+    .sort((a, b) => a - b)
+    .filter((value, index, list) => index === 0 || !gapValuesMatch(value, list[index - 1]));
+}
+
+// Helper: Name of a scale step: "space/16" by value or "space/1" by position
+// Decimal values use '_' because Figma variable names can't contain '.'
+function getScaleStepName(prefix, value, index, naming) {
+  const step = naming === 'index' ? String(index + 1) : String(value).replace('.', '_');
+  return prefix ? `${prefix}/${step}` : step;
+}
+
+// Plan a spacing scale: names and values, and which ones already exist in the target collection
+// options: { base, progression, steps, ratio, values, prefix, naming, collectionId, collectionName, gapScope }
+async function planSpacingScale(options) {
+  const values = generateScaleValues(options);
+  if (values.length === 0) {
+    return {
+      success: false,
+      message: 'La escala no tiene valores. Revisa la unidad base, la progresión y los pasos'
+    };
+  }
+
+  const collections = await getAllVariableCollections();
+  const collection = options.collectionId ? collections.find(c => c.id === options.collectionId) || null : null;
+  const variables = collection
+    ? (await figma.variables.getLocalVariablesAsync()).filter(v => v.variableCollectionId === collection.id)
+    : [];
+  const prefix = String(options.prefix || '').trim().replace(/^\/+|\/+$/g, '');
+
+  const steps = values.map((value, index) => {
+    const name = getScaleStepName(prefix, value, index, options.naming);
+    const existing = variables.find(v => v.name === name);
+    const existingValue = existing ? existing.valuesByMode[getCollectionDefaultModeId(collection)] : null;
+    return {
+      name: name,
+      value: value,
+      exists: !!existing,
+      existingValue: typeof existingValue === 'number' ? existingValue : null
+    };
+  });
+
+  return {
+    success: true,
+    plan: {
+      collectionName: collection ? collection.name : String(options.collectionName || '').trim(),
+      isNewCollection: !collection,
+      steps: steps
+    }
+  };
+}
+
+// Create the variables of a spacing scale (existing names are left untouched)
+// Every mode of the collection gets the same value; with gapScope the variables only appear in gap pickers
+async function createSpacingScale(options) {
+  const planResult = await planSpacingScale(options);
+  if (!planResult.success) {
+    return planResult;
+  }
+
+  const plan = planResult.plan;
+  if (plan.isNewCollection && !plan.collectionName) {
+    return {
+      success: false,
+      message: 'Indica el nombre de la nueva colección'
+    };
+  }
+
+  try {
+    let collection = null;
+    if (plan.isNewCollection) {
+      collection = figma.variables.createVariableCollection(plan.collectionName);
+    } else {
+      variableCollectionsCache = null;
+      const collections = await getAllVariableCollections();
+      collection = collections.find(c => c.id === options.collectionId);
+    }
+
+    let created = 0;
+    for (let i = 0; i < plan.steps.length; i++) {
+      const step = plan.steps[i];
+      if (step.exists) continue;
+
+      const variable = figma.variables.createVariable(step.name, collection, 'FLOAT');
+      collection.modes.forEach(mode => {
+        variable.setValueForMode(mode.modeId, step.value);
+      });
+      if (options.gapScope) {
+        variable.scopes = ['GAP'];
+      }
+      created++;
+    }
+
+    variableCollectionsCache = null;
+    const skipped = plan.steps.length - created;
+    return {
+      success: true,
+      message: `${created} tokens creados en "${plan.collectionName}"` + (skipped > 0 ? `, ${skipped} ya existían` : '')
+    };
+  } catch (e) {
+    variableCollectionsCache = null;
+    return {
+      success: false,
+      message: 'Error al crear la escala: ' + (e.message || e.toString())
+    };
+  }
+}
+
+// Helper: Validate the settings sent from the panel or read from storage
+// Returns only the settings present in changes, normalized
+function normalizeConfig(changes) {
+  const config = {};
+  if (!changes || typeof changes !== 'object') return config;
+
+  const cleanList = list => (Array.isArray(list) ? list : [])
+    .map(item => String(item).trim())
+    .filter(item => item !== '');
+
+  if (changes.snapTolerance) {
+    const value = parseFloat(changes.snapTolerance.value);
+    config.snapTolerance = {
+      mode: changes.snapTolerance.mode === 'percent' ? 'percent' : 'absolute',
+      value: !isNaN(value) && value >= 0 ? value : DEFAULT_CONFIG.snapTolerance.value
+    };
+  }
+  if (changes.tokenFilter) {
+    config.tokenFilter = {
+      respectScopes: changes.tokenFilter.respectScopes !== false,
+      collections: cleanList(changes.tokenFilter.collections),
+      namePatterns: cleanList(changes.tokenFilter.namePatterns)
+    };
+  }
+  if (changes.defaultCollectionId !== undefined) {
+    config.defaultCollectionId = changes.defaultCollectionId ? String(changes.defaultCollectionId) : null;
+  }
+  if (changes.namingTemplate !== undefined) {
+    const template = String(changes.namingTemplate || '').trim();
+    config.namingTemplate = template !== '' ? template : DEFAULT_CONFIG.namingTemplate;
+  }
+  if (changes.ignoredNodePatterns !== undefined) {
+    config.ignoredNodePatterns = cleanList(changes.ignoredNodePatterns);
+  }
+  if (changes.lintRules && typeof changes.lintRules === 'object') {
+    config.lintRules = {};
+    Object.keys(DEFAULT_CONFIG.lintRules).forEach(ruleId => {
+      const rule = changes.lintRules[ruleId] || {};
+      const defaults = DEFAULT_CONFIG.lintRules[ruleId];
+      config.lintRules[ruleId] = {
+        enabled: rule.enabled !== undefined ? rule.enabled !== false : defaults.enabled,
+        severity: LINT_SEVERITIES.indexOf(rule.severity) !== -1 ? rule.severity : defaults.severity
+      };
+    });
+  }
+  if (changes.lintGrid !== undefined) {
+    const grid = parseFloat(changes.lintGrid);
+    config.lintGrid = !isNaN(grid) && grid > 0 ? grid : DEFAULT_CONFIG.lintGrid;
+  }
+  if (changes.primitiveTokenPatterns !== undefined) {
+    config.primitiveTokenPatterns = cleanList(changes.primitiveTokenPatterns);
+  }
+  return config;
+}
+
+// Helper: Combine defaults, team and personal settings into pluginConfig
+function applyConfig() {
+  pluginConfig = Object.assign({}, DEFAULT_CONFIG, teamConfig, userConfig);
+  return pluginConfig;
+}
+
+// Helper: Read the team configuration from the document
+// Called before every scan and link so changes saved by teammates are picked up
+function refreshTeamConfig() {
+  try {
+    const stored = figma.root.getSharedPluginData(CONFIG_NAMESPACE, CONFIG_KEY);
+    teamConfig = stored ? normalizeConfig(JSON.parse(stored)) : {};
+  } catch (e) {
+    // Invalid JSON in the document: fall back to the defaults
+    teamConfig = {};
+  }
+  return applyConfig();
+}
+
+// Load the team (document) and personal (clientStorage) configuration
+async function loadConfig() {
+  try {
+    userConfig = normalizeConfig(await figma.clientStorage.getAsync(CONFIG_KEY));
+  } catch (e) {
+    userConfig = {};
+  }
+  return refreshTeamConfig();
+}
+
+// Helper: Compare two normalized setting values (plain objects, arrays and primitives)
+function configValuesEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => configValuesEqual(a[key], b[key]));
+}
+
+// Save the settings sent from the settings panel
+// target: 'team' (document, shared with everyone who opens the file) or 'user' (only for the current user)
+async function saveConfig(changes, target) {
+  const config = normalizeConfig(changes);
+  try {
+    if (target === 'user') {
+      // The panel sends every setting: only the ones that differ from the team value are kept as personal
+      // overrides, so later team changes to the rest still apply to this user
+      refreshTeamConfig();
+      const teamValues = normalizeConfig(Object.assign({}, DEFAULT_CONFIG, teamConfig));
+      userConfig = Object.assign({}, userConfig, config);
+      Object.keys(config).forEach(key => {
+        if (configValuesEqual(config[key], teamValues[key])) {
+          delete userConfig[key];
+        }
+      });
+      await figma.clientStorage.setAsync(CONFIG_KEY, userConfig);
+    } else {
+      refreshTeamConfig();
+      teamConfig = Object.assign({}, teamConfig, config);
+      figma.root.setSharedPluginData(CONFIG_NAMESPACE, CONFIG_KEY, JSON.stringify(teamConfig));
+      // Saving for the team replaces the personal overrides of the same settings
+      const overridden = Object.keys(config).filter(key => key in userConfig);
+      if (overridden.length > 0) {
+        overridden.forEach(key => delete userConfig[key]);
+        await figma.clientStorage.setAsync(CONFIG_KEY, userConfig);
+      }
+    }
+  } catch (e) {
+    applyConfig();
+    return {
+      success: false,
+      message: 'Error al guardar los ajustes: ' + (e.message || e.toString())
+    };
+  }
+
+  applyConfig();
+  return {
+    success: true,
+    message: target === 'user' ? 'Ajustes personales guardados' : 'Ajustes del equipo guardados en el documento'
+  };
+}
+
+// Remove the personal settings so the team configuration applies again
+async function resetUserConfig() {
+  try {
+    userConfig = {};
+    await figma.clientStorage.deleteAsync(CONFIG_KEY);
+  } catch (e) {
+    return {
+      success: false,
+      message: 'Error al quitar los ajustes personales: ' + (e.message || e.toString())
+    };
+  }
+  applyConfig();
+  return {
+    success: true,
+    message: 'Ajustes personales eliminados: se usan los del equipo'
+  };
+}
+
+// Helper: Configuration message for the UI (effective values and which settings are personal)
+function createConfigMessage() {
+  return {
+    type: 'config',
+    config: pluginConfig,
+    userConfig: userConfig
+  };
+}
+
+// Canvas annotations: one Dev Mode annotation per audited auto-layout with the status of each property
+// The annotated nodes are marked with plugin data so the annotations can be found and removed later
+const ANNOTATION_DATA_KEY = 'gapAnnotated';
+
+// Annotation categories created by the plugin (color-coded by the worst status of the node)
+const ANNOTATION_CATEGORIES = {
+  tokenized: { label: 'Gap to token · Tokenizado', color: 'green' },
+  hardcoded: { label: 'Gap to token · Sin token', color: 'orange' },
+  broken: { label: 'Gap to token · Vínculo roto', color: 'red' }
+};
+
+const BROKEN_TYPE_LABELS = {
+  deleted: 'Variable eliminada',
+  'library-unavailable': 'Librería no disponible',
+  'type-mismatch': 'Tipo incorrecto',
+  'unresolved-alias': 'Alias roto'
+};
+
+// Helper: Get (creating the missing ones) the plugin annotation categories: status -> category ID
+async function getAnnotationCategoryIds(create) {
+  const categories = await figma.annotations.getAnnotationCategoriesAsync();
+  const ids = {};
+  const statuses = Object.keys(ANNOTATION_CATEGORIES);
+  for (let i = 0; i < statuses.length; i++) {
+    const definition = ANNOTATION_CATEGORIES[statuses[i]];
+    const category = categories.find(c => c.label === definition.label);
+    if (category) {
+      ids[statuses[i]] = category.id;
+    } else if (create) {
+      ids[statuses[i]] = (await figma.annotations.addAnnotationCategoryAsync(definition)).id;
+    }
+  }
+  return ids;
+}
+
+// Helper: Annotation line of a property ("GAP: Sin token · 12px", "GAP: space/md (16px)", "GAP: Vínculo roto · …")
+function formatAnnotationLine(info) {
+  let status;
+  if (info.status === 'tokenized') {
+    status = `${info.tokenFullPath || info.token}` + (typeof info.tokenValue === 'number' ? ` (${info.tokenValue}px)` : '');
+  } else if (info.status === 'broken') {
+    status = 'Vínculo roto · ' + (BROKEN_TYPE_LABELS[info.brokenType] || info.error);
+  } else {
+    status = `Sin token · ${info.value}px`;
+  }
+  return `- **${info.label}**: ${status}`;
+}
+
+// Helper: Remove the plugin annotations of a node, keeping the ones added by people
+// Returns true when some annotation was removed
+function removeNodeAnnotations(node, categoryIds) {
+  const ids = Object.keys(categoryIds).map(status => categoryIds[status]);
+  const annotations = node.annotations || [];
+  const kept = annotations.filter(annotation => ids.indexOf(annotation.categoryId) === -1);
+  node.annotations = kept;
+  node.setPluginData(ANNOTATION_DATA_KEY, '');
+  return kept.length !== annotations.length;
+}
+
+// Write the status of the current scan (node or audit) onto the canvas as annotations
+async function annotateCurrentScan() {
+  if (!figma.annotations) {
+    return {
+      success: false,
+      message: 'Esta versión de Figma no permite crear anotaciones'
+    };
+  }
+
+  const scanResult = await runCurrentScan();
+  if (!scanResult.success) {
+    return scanResult;
+  }
+
+  // Results grouped by node: audits already have one result per property, a single node has its properties
+  const results = scanResult.audit
+    ? scanResult.audit.results
+    : scanResult.gapInfo.properties
+      .filter(isAuditableProperty)
+      .map(info => Object.assign({ nodeId: scanResult.gapInfo.nodeId }, info));
+  const byNode = {};
+  const order = [];
+  results.forEach(result => {
+    if (!byNode[result.nodeId]) {
+      byNode[result.nodeId] = [];
+      order.push(result.nodeId);
+    }
+    byNode[result.nodeId].push(result);
+  });
+
+  const categoryIds = await getAnnotationCategoryIds(true);
+  let annotated = 0;
+  const failed = [];
+  for (let i = 0; i < order.length; i++) {
+    const properties = byNode[order[i]];
+    const worst = properties.some(p => p.status === 'broken')
+      ? 'broken'
+      : (properties.some(p => p.status === 'hardcoded') ? 'hardcoded' : 'tokenized');
+    try {
+      const node = await figma.getNodeByIdAsync(order[i]);
+      if (!node || !('annotations' in node)) {
+        failed.push(order[i]);
+        continue;
+      }
+      removeNodeAnnotations(node, categoryIds);
+      node.annotations = node.annotations.concat([{
+        labelMarkdown: properties.map(formatAnnotationLine).join('\n'),
+        categoryId: categoryIds[worst]
+      }]);
+      node.setPluginData(ANNOTATION_DATA_KEY, '1');
+      annotated++;
+    } catch (e) {
+      // Layers inside instances and library components can't be annotated
+      failed.push(order[i]);
+    }
+  }
+
+  return {
+    success: annotated > 0,
+    message: (annotated === 1 ? '1 AutoLayout anotado en el lienzo' : `${annotated} AutoLayouts anotados en el lienzo`) + (failed.length > 0 ? `, ${failed.length} no se pudieron anotar (capas de instancias o de librería)` : '')
+  };
+}
+
+// Remove every annotation created by the plugin in the document
+async function removePluginAnnotations() {
+  if (!figma.annotations) {
+    return {
+      success: false,
+      message: 'Esta versión de Figma no permite crear anotaciones'
+    };
+  }
+
+  const categoryIds = await getAnnotationCategoryIds(false);
+  const pages = figma.root.children;
+  let removed = 0;
+
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    await page.loadAsync();
+    const nodes = page.findAllWithCriteria({ pluginData: { keys: [ANNOTATION_DATA_KEY] } });
+    nodes.forEach(node => {
+      try {
+        if (removeNodeAnnotations(node, categoryIds)) {
+          removed++;
+        }
+      } catch (e) {
+        // Nodes that can't be edited keep their annotations
+      }
+    });
+  }
+
+  return {
+    success: true,
+    message: removed > 0 ? `Anotaciones quitadas de ${removed} AutoLayout${removed === 1 ? '' : 's'}` : 'No hay anotaciones del plugin en el documento'
+  };
+}
+
+// Watch mode: while it is on, the nodes whose spacing or bound variables change are re-audited
+// and the hardcoded properties introduced this way are kept for the session (key: node + property)
+let watchMode = false;
+let watchRegressions = {};
+let watchChanges = {};
+let watchTimer = null;
+
+// Changes are grouped for a moment so dragging a gap re-audits the node once
+const WATCH_DELAY = 300;
+
+// Node properties (as reported by documentchange) that can leave a spacing property hardcoded
+const WATCHED_PROPERTIES = SPACING_PROPERTIES
+  .reduce((fields, definition) => fields.concat(definition.fields), [])
+  .concat(['boundVariables', 'layoutMode', 'layoutWrap']);
+
+// Helper: Message with the state of watch mode and the hardcoded properties found in this session
+function createWatchMessage() {
+  const regressions = Object.keys(watchRegressions)
+    .map(key => watchRegressions[key])
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+  return {
+    type: 'watch-update',
+    data: {
+      enabled: watchMode,
+      regressions: regressions
+    }
+  };
+}
+
+// Collect the local changes of watched properties (remote changes belong to other users)
+// Created auto-layouts (pasted, duplicated) are re-audited as if every watched property had changed
+function handleDocumentChange(event) {
+  event.documentChanges.forEach(change => {
+    if (change.origin === 'REMOTE') return;
+    if (change.type === 'CREATE') {
+      if (hasAutoLayout(change.node)) {
+        watchChanges[change.id] = WATCHED_PROPERTIES.slice();
+      }
+      return;
+    }
+    if (change.type !== 'PROPERTY_CHANGE') return;
+    const properties = change.properties.filter(property => WATCHED_PROPERTIES.indexOf(property) !== -1);
+    if (properties.length === 0) return;
+    watchChanges[change.id] = (watchChanges[change.id] || []).concat(properties);
+  });
+
+  if (Object.keys(watchChanges).length > 0 && !watchTimer) {
+    watchTimer = setTimeout(() => {
+      processWatchedChanges().catch(error => {
+        figma.ui.postMessage({
+          type: 'scan-result',
+          data: {
+            success: false,
+            message: `Error: ${error.message}`
+          }
+        });
+      });
+    }, WATCH_DELAY);
+  }
+}
+
+// Helper: Re-audit a changed node: its properties that are no longer hardcoded are forgotten and
+// the changed ones that are hardcoded now are recorded (keeping the time they were first seen)
+async function updateWatchRegressions(nodeId, changedProperties) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  const gapInfo = node && !node.removed && !isIgnoredNode(node) && !getAppliedException(node)
+    ? await getGapInfo(node)
+    : null;
+  const properties = gapInfo && gapInfo.hasAutoLayout ? gapInfo.properties : [];
+  const page = node ? getNodePage(node) : null;
+
+  Object.keys(watchRegressions).forEach(key => {
+    const regression = watchRegressions[key];
+    if (regression.nodeId === nodeId && !properties.some(info => info.property === regression.property)) {
+      delete watchRegressions[key];
+    }
+  });
+
+  properties.forEach(info => {
+    const key = getTargetKey(nodeId, info.property);
+    if (info.status !== 'hardcoded' || !isAuditableProperty(info)) {
+      delete watchRegressions[key];
+      return;
+    }
+
+    // Unbinding a token only reports 'boundVariables', without the field
+    const definition = getSpacingProperty(info.property);
+    const changed = changedProperties.indexOf('boundVariables') !== -1 ||
+      definition.fields.some(field => changedProperties.indexOf(field) !== -1);
+    if (!changed && !watchRegressions[key]) return;
+
+    watchRegressions[key] = {
+      key: key,
+      nodeId: nodeId,
+      nodeName: node.name,
+      pageId: page ? page.id : null,
+      pageName: page ? page.name : null,
+      property: info.property,
+      label: info.label,
+      value: info.value,
+      detectedAt: watchRegressions[key] ? watchRegressions[key].detectedAt : new Date().toISOString()
+    };
+  });
+}
+
+// Re-audit the nodes changed since the last run and refresh the badge (and the selected node)
+async function processWatchedChanges() {
+  watchTimer = null;
+  const changes = watchChanges;
+  watchChanges = {};
+  if (!watchMode) return;
+
+  const nodeIds = Object.keys(changes);
+  for (let i = 0; i < nodeIds.length; i++) {
+    try {
+      await updateWatchRegressions(nodeIds[i], changes[nodeIds[i]]);
+    } catch (e) {
+      // A node that can't be read is checked again on its next change
+    }
+  }
+  figma.ui.postMessage(createWatchMessage());
+
+  // The node card is refreshed when the selected node is one of the changed nodes
+  if (auditScope === 'selection' && figma.currentPage.selection.some(node => changes[node.id])) {
+    figma.ui.postMessage({ type: 'scan-result', data: await scanSelection() });
+  }
+}
+
+// Turn watch mode on or off (turning it off ends the session and its list)
+// documentchange requires every page to be loaded first (documentAccess: dynamic-page)
+async function setWatchMode(enabled) {
+  if (enabled && !watchMode) {
+    await figma.loadAllPagesAsync();
+    figma.on('documentchange', handleDocumentChange);
+  } else if (!enabled && watchMode) {
+    figma.off('documentchange', handleDocumentChange);
+    if (watchTimer) {
+      clearTimeout(watchTimer);
+      watchTimer = null;
+    }
+    watchChanges = {};
+    watchRegressions = {};
+  }
+  watchMode = enabled;
+  return createWatchMessage();
+}
+
+// Dev Mode: the inspect panel shows the tokens of the selected AutoLayout and codegen turns its spacing into code
+// Each language creates the code of the layout (usage) and the definitions of the tokens it uses
+const CODE_SNIPPET_LANGUAGES = [
+  { value: 'css', label: 'CSS', codeLanguage: 'CSS', definitionsLanguage: 'CSS', create: createCssSnippet },
+  { value: 'tailwind', label: 'Tailwind', codeLanguage: 'HTML', definitionsLanguage: 'JAVASCRIPT', create: createTailwindSnippet },
+  { value: 'swiftui', label: 'SwiftUI', codeLanguage: 'SWIFT', definitionsLanguage: 'SWIFT', create: createSwiftUISnippet },
+  { value: 'compose', label: 'Compose', codeLanguage: 'KOTLIN', definitionsLanguage: 'KOTLIN', create: createComposeSnippet }
+];
+
+// Helper: Split a name into lowercase words ("Spacing/Gap MD" -> ['spacing', 'gap', 'md'], "spaceLg" -> ['space', 'lg'])
+function getTokenCodeWords(name) {
+  return String(name || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(word => word !== '')
+    .map(word => word.toLowerCase());
+}
+
+// Helper: Name as a kebab-case identifier (CSS custom properties, Tailwind keys)
+function toKebabCase(name) {
+  return getTokenCodeWords(name).join('-') || 'token';
+}
+
+// Helper: Name as a camelCase identifier (Swift, Kotlin), which can't start with a digit
+function toCamelCase(name) {
+  const identifier = getTokenCodeWords(name)
+    .map((word, i) => i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  if (!identifier) return 'token';
+  return /^[0-9]/.test(identifier) ? 'token' + identifier : identifier;
+}
+
+// Helper: Format a number for code (at most two decimals)
+function formatCodeNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Helper: Value of a spacing property in code: its token (when the binding resolves) or the literal value
+function getCodeValue(info) {
+  if (info.status === 'tokenized') {
+    return {
+      token: info.token,
+      value: typeof info.tokenValue === 'number' ? info.tokenValue : info.value,
+      modeValues: info.tokenModeValues || null
+    };
+  }
+  return { token: null, value: info.value, modeValues: null };
+}
+
+// Helper: Spacing of an AutoLayout as used by the snippets
+// Paddings are kept as [top, right, bottom, left]; paddings and radius left at 0 without token are omitted
+// With SPACE_BETWEEN the gap is not applied by Figma, so it is omitted too
+function getCodeLayout(node, gapInfo) {
+  const values = {};
+  gapInfo.properties.forEach(info => {
+    values[info.property] = getCodeValue(info);
+  });
+  const isSet = codeValue => !!codeValue && (!!codeValue.token || codeValue.value !== 0);
+
+  const padding = ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+    .map(property => values[property] || { token: null, value: 0, modeValues: null });
+  const spaceBetween = node.primaryAxisAlignItems === 'SPACE_BETWEEN';
+
+  return {
+    name: gapInfo.nodeName,
+    direction: gapInfo.layoutMode === 'VERTICAL' ? 'column' : 'row',
+    wrap: node.layoutWrap === 'WRAP',
+    spaceBetween: spaceBetween,
+    gap: spaceBetween ? null : values.itemSpacing || null,
+    rowGap: values.counterAxisSpacing || null,
+    padding: padding.some(isSet) ? padding : null,
+    radius: isSet(values.cornerRadius) ? values.cornerRadius : null
+  };
+}
+
+// Helper: Shortest form of the four paddings: [all], [vertical, horizontal] or [top, right, bottom, left]
+function getPaddingShorthand(padding) {
+  const same = (a, b) => a.token === b.token && a.value === b.value;
+  if (same(padding[0], padding[2]) && same(padding[1], padding[3])) {
+    return same(padding[0], padding[1]) ? [padding[0]] : [padding[0], padding[1]];
+  }
+  return padding;
+}
+
+// Helper: Spacing values (gaps and paddings) of a layout, without the radius
+function getLayoutSpacingValues(layout) {
+  return [layout.gap, layout.rowGap].concat(layout.padding || []);
+}
+
+// Helper: Tokens used by some code values, once per identifier: [{ identifier, value, modeValues }]
+function getCodeTokens(codeValues, toIdentifier) {
+  const tokens = [];
+  const seen = {};
+  codeValues.forEach(codeValue => {
+    if (!codeValue || !codeValue.token) return;
+    const identifier = toIdentifier(codeValue.token);
+    if (seen[identifier]) return;
+    seen[identifier] = true;
+    tokens.push({ identifier: identifier, value: codeValue.value, modeValues: codeValue.modeValues });
+  });
+  return tokens;
+}
+
+// Helper: Value of every mode of a token ("Compact: 12px · Cozy: 16px"), empty when it does not change between modes
+function formatModeComment(modeValues, unit) {
+  if (!modeValues || modeValues.every(m => m.value === modeValues[0].value)) return '';
+  return modeValues
+    .map(m => `${m.modeName}: ${typeof m.value === 'number' ? formatCodeNumber(m.value) + unit : '—'}`)
+    .join(' · ');
+}
+
+// CSS: flexbox rule with custom properties, defined in :root
+function createCssSnippet(layout) {
+  const ref = codeValue => codeValue.token ? `var(--${toKebabCase(codeValue.token)})` : `${formatCodeNumber(codeValue.value)}px`;
+  const comment = codeValue => codeValue.token ? ` /* ${formatCodeNumber(codeValue.value)}px */` : '';
+
+  const lines = ['display: flex;'];
+  if (layout.direction === 'column') lines.push('flex-direction: column;');
+  if (layout.wrap) lines.push('flex-wrap: wrap;');
+  if (layout.spaceBetween) lines.push('justify-content: space-between;');
+  if (layout.gap && layout.rowGap) {
+    lines.push(`column-gap: ${ref(layout.gap)};${comment(layout.gap)}`);
+    lines.push(`row-gap: ${ref(layout.rowGap)};${comment(layout.rowGap)}`);
+  } else if (layout.gap) {
+    lines.push(`gap: ${ref(layout.gap)};${comment(layout.gap)}`);
+  } else if (layout.rowGap) {
+    lines.push(`row-gap: ${ref(layout.rowGap)};${comment(layout.rowGap)}`);
+  }
+  if (layout.padding) {
+    lines.push(`padding: ${getPaddingShorthand(layout.padding).map(ref).join(' ')};`);
+  }
+  if (layout.radius) {
+    lines.push(`border-radius: ${ref(layout.radius)};${comment(layout.radius)}`);
+  }
+
+  const definitions = getCodeTokens(getLayoutSpacingValues(layout).concat([layout.radius]), toKebabCase).map(token => {
+    const modes = formatModeComment(token.modeValues, 'px');
+    return `  --${token.identifier}: ${formatCodeNumber(token.value)}px;${modes ? ` /* ${modes} */` : ''}`;
+  });
+
+  return {
+    usage: `.${toKebabCase(layout.name)} {\n${lines.map(line => '  ' + line).join('\n')}\n}`,
+    definitions: definitions.length > 0 ? `:root {\n${definitions.join('\n')}\n}` : ''
+  };
+}
+
+// Tailwind: utility classes, with the tokens added to the theme (arbitrary values for literals)
+function createTailwindSnippet(layout) {
+  const ref = codeValue => codeValue.token ? toKebabCase(codeValue.token) : `[${formatCodeNumber(codeValue.value)}px]`;
+
+  const classes = ['flex'];
+  if (layout.direction === 'column') classes.push('flex-col');
+  if (layout.wrap) classes.push('flex-wrap');
+  if (layout.spaceBetween) classes.push('justify-between');
+  if (layout.gap && layout.rowGap) {
+    classes.push(`gap-x-${ref(layout.gap)}`, `gap-y-${ref(layout.rowGap)}`);
+  } else if (layout.gap) {
+    classes.push(`gap-${ref(layout.gap)}`);
+  } else if (layout.rowGap) {
+    classes.push(`gap-y-${ref(layout.rowGap)}`);
+  }
+  if (layout.padding) {
+    const padding = getPaddingShorthand(layout.padding);
+    if (padding.length === 1) {
+      classes.push(`p-${ref(padding[0])}`);
+    } else if (padding.length === 2) {
+      classes.push(`py-${ref(padding[0])}`, `px-${ref(padding[1])}`);
+    } else {
+      classes.push(`pt-${ref(padding[0])}`, `pr-${ref(padding[1])}`, `pb-${ref(padding[2])}`, `pl-${ref(padding[3])}`);
+    }
+  }
+  if (layout.radius) classes.push(`rounded-${ref(layout.radius)}`);
+
+  const formatEntries = tokens => tokens.map(token => {
+    const modes = formatModeComment(token.modeValues, 'px');
+    return `        '${token.identifier}': '${formatCodeNumber(token.value)}px',${modes ? ` // ${modes}` : ''}`;
+  }).join('\n');
+  const spacing = getCodeTokens(getLayoutSpacingValues(layout), toKebabCase);
+  const radius = getCodeTokens([layout.radius], toKebabCase);
+  const sections = [];
+  if (spacing.length > 0) sections.push(`      spacing: {\n${formatEntries(spacing)}\n      }`);
+  if (radius.length > 0) sections.push(`      borderRadius: {\n${formatEntries(radius)}\n      }`);
+
+  return {
+    usage: `<div class="${classes.join(' ')}">\n  <!-- … -->\n</div>`,
+    definitions: sections.length > 0
+      ? `// tailwind.config.js\nmodule.exports = {\n  theme: {\n    extend: {\n${sections.join(',\n')}\n    }\n  }\n};`
+      : ''
+  };
+}
+
+// SwiftUI: stack with spacing and padding modifiers, with the tokens as CGFloat constants
+function createSwiftUISnippet(layout) {
+  const ref = codeValue => codeValue.token ? `Spacing.${toCamelCase(codeValue.token)}` : formatCodeNumber(codeValue.value);
+
+  const lines = [`${layout.direction === 'column' ? 'VStack' : 'HStack'}(spacing: ${layout.gap ? ref(layout.gap) : '0'}) {`];
+  if (layout.rowGap) lines.push(`  // Wrap: separación entre filas ${ref(layout.rowGap)}`);
+  lines.push(layout.spaceBetween ? '  // space-between: separa los elementos con Spacer()' : '  // …');
+  lines.push('}');
+  if (layout.padding) {
+    const padding = getPaddingShorthand(layout.padding);
+    lines.push(padding.length === 1
+      ? `.padding(${ref(padding[0])})`
+      : `.padding(EdgeInsets(top: ${ref(layout.padding[0])}, leading: ${ref(layout.padding[3])}, bottom: ${ref(layout.padding[2])}, trailing: ${ref(layout.padding[1])}))`);
+  }
+  if (layout.radius) lines.push(`.clipShape(RoundedRectangle(cornerRadius: ${ref(layout.radius)}))`);
+
+  const definitions = getCodeTokens(getLayoutSpacingValues(layout).concat([layout.radius]), toCamelCase).map(token => {
+    const modes = formatModeComment(token.modeValues, '');
+    return `  static let ${token.identifier}: CGFloat = ${formatCodeNumber(token.value)}${modes ? ` // ${modes}` : ''}`;
+  });
+
+  return {
+    usage: lines.join('\n'),
+    definitions: definitions.length > 0 ? `enum Spacing {\n${definitions.join('\n')}\n}` : ''
+  };
+}
+
+// Jetpack Compose: Row/Column (FlowRow with wrap) with Arrangement.spacedBy, with the tokens as Dp values
+function createComposeSnippet(layout) {
+  const ref = codeValue => codeValue.token ? `Spacing.${toCamelCase(codeValue.token)}` : `${formatCodeNumber(codeValue.value)}.dp`;
+
+  const modifiers = [];
+  if (layout.radius) modifiers.push(`.clip(RoundedCornerShape(${ref(layout.radius)}))`);
+  if (layout.padding) {
+    const padding = getPaddingShorthand(layout.padding);
+    if (padding.length === 1) {
+      modifiers.push(`.padding(${ref(padding[0])})`);
+    } else if (padding.length === 2) {
+      modifiers.push(`.padding(vertical = ${ref(padding[0])}, horizontal = ${ref(padding[1])})`);
+    } else {
+      modifiers.push(`.padding(start = ${ref(padding[3])}, top = ${ref(padding[0])}, end = ${ref(padding[1])}, bottom = ${ref(padding[2])})`);
+    }
+  }
+
+  const args = [];
+  if (modifiers.length > 0) args.push(`modifier = Modifier\n    ${modifiers.join('\n    ')}`);
+  const mainAxis = layout.direction === 'column' ? 'verticalArrangement' : 'horizontalArrangement';
+  if (layout.spaceBetween) {
+    args.push(`${mainAxis} = Arrangement.SpaceBetween`);
+  } else if (layout.gap) {
+    args.push(`${mainAxis} = Arrangement.spacedBy(${ref(layout.gap)})`);
+  }
+  if (layout.rowGap) args.push(`verticalArrangement = Arrangement.spacedBy(${ref(layout.rowGap)})`);
+
+  const container = layout.wrap ? 'FlowRow' : layout.direction === 'column' ? 'Column' : 'Row';
+  const definitions = getCodeTokens(getLayoutSpacingValues(layout).concat([layout.radius]), toCamelCase).map(token => {
+    const modes = formatModeComment(token.modeValues, '.dp');
+    return `  val ${token.identifier} = ${formatCodeNumber(token.value)}.dp${modes ? ` // ${modes}` : ''}`;
+  });
+
+  return {
+    usage: `${container}${args.length > 0 ? `(\n  ${args.join(',\n  ')}\n)` : ''} {\n  // …\n}`,
+    definitions: definitions.length > 0
+      ? `import androidx.compose.ui.unit.dp\n\nobject Spacing {\n${definitions.join('\n')}\n}`
+      : ''
+  };
+}
+
+// Create the code snippets of an AutoLayout in every language
+// Returns [{ language, label, usage, definitions }]
+function createCodeSnippets(node, gapInfo) {
+  const layout = getCodeLayout(node, gapInfo);
+  return CODE_SNIPPET_LANGUAGES.map(language => Object.assign({
+    language: language.value,
+    label: language.label
+  }, language.create(layout)));
+}
+
+// Dev Mode inspect panel: tokens and code snippets of the selected AutoLayout (read only)
+async function inspectSelection() {
+  refreshTeamConfig();
+  const selection = figma.currentPage.selection;
+
+  if (selection.length !== 1) {
+    return {
+      success: false,
+      message: 'Selecciona un único Frame o AutoLayout para ver sus tokens de espaciado'
+    };
+  }
+
+  const node = selection[0];
+  if (!isFrameOrAutoLayout(node)) {
+    return {
+      success: false,
+      message: 'El elemento seleccionado no es un Frame o AutoLayout válido'
+    };
+  }
+
+  const gapInfo = await getGapInfo(node);
+  if (!gapInfo || gapInfo.error) {
+    return {
+      success: false,
+      message: gapInfo ? gapInfo.error : 'No se pudo obtener información del elemento seleccionado'
+    };
+  }
+
+  return {
+    success: true,
+    gapInfo: gapInfo,
+    snippets: createCodeSnippets(node, gapInfo)
+  };
+}
+
+// Dev Mode codegen: code of the layer selected in the Code panel, in the language chosen there
+// (codegenLanguages in manifest.json); the token definitions go in a second section
+async function generateCode(event) {
+  const language = CODE_SNIPPET_LANGUAGES.find(l => l.value === event.language) || CODE_SNIPPET_LANGUAGES[0];
+  let gapInfo = null;
+  try {
+    gapInfo = await getGapInfo(event.node);
+  } catch (e) {
+    gapInfo = { error: 'Error al leer el espaciado: ' + (e.message || e.toString()) };
+  }
+
+  if (!gapInfo || gapInfo.error) {
+    return [{
+      title: 'Gap to token',
+      code: gapInfo ? gapInfo.error : 'Selecciona un Frame o AutoLayout para generar el código de su espaciado',
+      language: 'PLAINTEXT'
+    }];
+  }
+
+  const snippet = language.create(getCodeLayout(event.node, gapInfo));
+  const results = [{ title: `Espaciado · ${language.label}`, code: snippet.usage, language: language.codeLanguage }];
+  if (snippet.definitions) {
+    results.push({ title: 'Tokens', code: snippet.definitions, language: language.definitionsLanguage });
+  }
+  return results;
 }
 
 // Main plugin code
-if (figma.editorType === 'figma') {
+if ((figma.editorType === 'figma' || figma.editorType === 'dev') && figma.command === 'remove-annotations') {
+  // Menu command (also in Dev Mode, where annotations can be edited): remove the plugin annotations without opening the UI
+  removePluginAnnotations()
+    .then(result => {
+      figma.closePlugin(result.message);
+    })
+    .catch(error => {
+      figma.closePlugin(`Error al quitar las anotaciones: ${error.message}`);
+    });
+} else if (figma.editorType === 'figma') {
   figma.showUI(__html__, { width: 420, height: 640 });
 
-  // Initial scan
-  scanSelection().then(initialScan => {
+  // Load the stored settings before the initial scan
+  loadConfig().then(() => {
+    figma.ui.postMessage(createConfigMessage());
+    return scanSelection();
+  }).then(initialScan => {
     figma.ui.postMessage({ type: 'scan-result', data: initialScan });
   });
 
   // Listen for selection changes
+  // Page and document reports are kept while navigating between their nodes
   figma.on('selectionchange', () => {
+    if (auditScope !== 'selection') return;
     scanSelection().then(scanResult => {
       figma.ui.postMessage({ type: 'scan-result', data: scanResult });
     });
@@ -738,15 +4621,17 @@ if (figma.editorType === 'figma') {
   // Handle UI messages
   figma.ui.onmessage = (msg) => {
     if (msg.type === 'scan') {
-      scanSelection().then(scanResult => {
+      // A manual scan also refreshes the team library variables
+      clearLibraryCache();
+      runCurrentScan().then(scanResult => {
         figma.ui.postMessage({ type: 'scan-result', data: scanResult });
       });
     } else if (msg.type === 'link-token') {
-      linkGapToToken(msg.nodeId, msg.tokenName, msg.gapType, msg.tokenId, msg.tokenValue, msg.collectionId)
+      linkGapToToken(msg.nodeId, msg.tokenName, msg.gapType, msg.tokenId, msg.tokenValue, msg.collectionId, msg.tokenValuesByMode, msg.tokenKey)
         .then(result => {
           figma.ui.postMessage({ type: 'link-result', data: result });
           setTimeout(() => {
-            scanSelection().then(scanResult => {
+            runCurrentScan().then(scanResult => {
               figma.ui.postMessage({ type: 'scan-result', data: scanResult });
             });
           }, 100);
@@ -760,6 +4645,397 @@ if (figma.editorType === 'figma') {
             }
           });
         });
+    } else if (msg.type === 'set-scan-mode') {
+      scanMode = msg.mode === 'recursive' ? 'recursive' : 'single';
+      auditScope = 'selection';
+      clearLibraryCache();
+      scanSelection().then(scanResult => {
+        figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+      });
+    } else if (msg.type === 'scan-page' || msg.type === 'scan-document') {
+      auditScope = msg.type === 'scan-page' ? 'page' : 'document';
+      clearLibraryCache();
+      runCurrentScan()
+        .then(scanResult => {
+          figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'scan-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'focus-node') {
+      focusNode(msg.nodeId).then(result => {
+        if (!result.success) {
+          figma.notify(result.message);
+        }
+      });
+    } else if (msg.type === 'new-token-preview') {
+      const options = msg.options || {};
+      planNewToken(options)
+        .then(result => {
+          figma.ui.postMessage({ type: 'new-token-preview-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'new-token-preview-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`,
+              requestId: options.requestId,
+              gapType: options.gapType
+            }
+          });
+        });
+    } else if (msg.type === 'bulk-link-preview') {
+      planBulkLink(msg.targets || [])
+        .then(result => {
+          figma.ui.postMessage({ type: 'bulk-link-preview-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'bulk-link-preview-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'bulk-link-apply') {
+      applyBulkLink(msg.targets || [], msg.choices || {})
+        .then(result => {
+          figma.ui.postMessage({ type: 'bulk-link-result', data: result });
+          runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'bulk-link-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'apply-suggestion') {
+      applySuggestion(msg.nodeId, msg.tokenId, msg.gapType)
+        .then(result => {
+          figma.ui.postMessage({ type: 'link-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'link-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'export-tokens') {
+      exportDesignTokens()
+        .then(result => {
+          figma.ui.postMessage({ type: 'export-tokens-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'export-tokens-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'import-tokens-preview') {
+      planTokenImport(msg.json, msg.options)
+        .then(result => {
+          figma.ui.postMessage({
+            type: 'import-tokens-preview-result',
+            data: { success: result.success, message: result.message, plan: result.plan }
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'import-tokens-preview-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'import-tokens-apply') {
+      applyTokenImport(msg.json, msg.options)
+        .then(result => {
+          figma.ui.postMessage({ type: 'import-tokens-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'import-tokens-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'scale-preview') {
+      planSpacingScale(msg.options)
+        .then(result => {
+          figma.ui.postMessage({ type: 'scale-preview-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'scale-preview-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'scale-create') {
+      createSpacingScale(msg.options)
+        .then(result => {
+          figma.ui.postMessage({ type: 'scale-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'scale-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'update-config' || msg.type === 'reset-user-config') {
+      const saving = msg.type === 'update-config' ? saveConfig(msg.config, msg.target) : resetUserConfig();
+      saving
+        .then(result => {
+          figma.ui.postMessage({ type: 'config-result', data: result });
+          figma.ui.postMessage(createConfigMessage());
+          return runCurrentScan();
+        })
+        .then(scanResult => {
+          figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'config-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'set-exception' || msg.type === 'remove-exception') {
+      const nodeIds = msg.nodeIds || [];
+      const updating = msg.type === 'set-exception'
+        ? setNodeExceptions(nodeIds, msg.reason, msg.subtree)
+        : removeNodeExceptions(nodeIds);
+      updating
+        .then(result => {
+          figma.ui.postMessage({ type: 'exception-result', data: result });
+          if (!result.success) return null;
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'exception-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'list-tokens') {
+      // purpose tells the UI which panel asked for the list ('usages' or 'migration')
+      getAvailableTokens()
+        .then(tokens => {
+          figma.ui.postMessage({ type: 'tokens-list-result', data: { success: true, tokens: tokens, purpose: msg.purpose } });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'tokens-list-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`,
+              purpose: msg.purpose
+            }
+          });
+        });
+    } else if (msg.type === 'migrate-tokens-preview') {
+      planTokenMigration(msg.mapping, msg.scope)
+        .then(result => {
+          figma.ui.postMessage({ type: 'migrate-tokens-preview-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'migrate-tokens-preview-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'migrate-tokens-apply') {
+      applyTokenMigration(msg.mapping, msg.scope)
+        .then(result => {
+          figma.ui.postMessage({ type: 'migrate-tokens-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'migrate-tokens-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'find-token-usages') {
+      findTokenUsages(msg.token, msg.scope)
+        .then(result => {
+          figma.ui.postMessage({ type: 'token-usages-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'token-usages-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'select-nodes') {
+      selectNodes(msg.nodeIds || [])
+        .then(result => {
+          figma.notify(result.message);
+        })
+        .catch(error => {
+          figma.notify(`Error: ${error.message}`, { error: true });
+        });
+    } else if (msg.type === 'reset-override') {
+      resetInstanceOverride(msg.nodeId, msg.gapType)
+        .then(result => {
+          figma.ui.postMessage({ type: 'link-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'link-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'repair-bindings') {
+      repairBrokenBindings(msg.repairs || [])
+        .then(result => {
+          figma.ui.postMessage({ type: 'repair-bindings-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'repair-bindings-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'apply-lint-fixes') {
+      applyLintFixes(msg.fixes || [])
+        .then(result => {
+          figma.ui.postMessage({ type: 'lint-fixes-result', data: result });
+          return runCurrentScan().then(scanResult => {
+            figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+          });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'lint-fixes-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'set-watch-mode') {
+      setWatchMode(msg.enabled === true)
+        .then(watchMessage => figma.ui.postMessage(watchMessage))
+        .catch(error => {
+          figma.notify('No se pudo activar la vigilancia: ' + (error.message || error.toString()), { error: true });
+          figma.ui.postMessage(createWatchMessage());
+        });
+    } else if (msg.type === 'clear-watch-regressions') {
+      watchRegressions = {};
+      figma.ui.postMessage(createWatchMessage());
+    } else if (msg.type === 'annotate-canvas' || msg.type === 'remove-annotations') {
+      const annotating = msg.type === 'annotate-canvas' ? annotateCurrentScan() : removePluginAnnotations();
+      annotating
+        .then(result => {
+          figma.ui.postMessage({ type: 'annotations-result', data: result });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'annotations-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'list-change-log') {
+      figma.ui.postMessage({ type: 'change-log-result', data: getChangeLog() });
+    } else if (msg.type === 'revert-batch') {
+      revertChangeBatch(msg.batchId)
+        .then(result => {
+          figma.ui.postMessage({ type: 'revert-batch-result', data: result });
+          figma.ui.postMessage({ type: 'change-log-result', data: getChangeLog() });
+          return runCurrentScan();
+        })
+        .then(scanResult => {
+          figma.ui.postMessage({ type: 'scan-result', data: scanResult });
+        })
+        .catch(error => {
+          figma.ui.postMessage({
+            type: 'revert-batch-result',
+            data: {
+              success: false,
+              message: `Error: ${error.message}`
+            }
+          });
+        });
+    } else if (msg.type === 'list-exceptions') {
+      listExceptions().then(result => {
+        figma.ui.postMessage({ type: 'exceptions-result', data: result });
+      });
+    } else if (msg.type === 'select-node') {
+      selectNode(msg.nodeId).then(result => {
+        if (!result.success) {
+          figma.notify(result.message);
+        }
+      });
     } else if (msg.type === 'cancel') {
       figma.closePlugin();
     } else if (msg.type === 'change-viewport') {
@@ -783,7 +5059,36 @@ if (figma.editorType === 'figma') {
       });
     }
   };
+} else if (figma.editorType === 'dev' && figma.mode === 'codegen') {
+  // Dev Mode Code panel: no UI, the code is generated for the selected layer
+  const configLoading = loadConfig();
+  figma.codegen.on('generate', event => configLoading.then(() => generateCode(event)));
+} else if (figma.editorType === 'dev') {
+  // Dev Mode inspect panel: read only, shows the tokens of the selection and its code snippets
+  figma.showUI(__html__, { width: 420, height: 640 });
+
+  const postInspectResult = () => inspectSelection()
+    .then(result => {
+      figma.ui.postMessage({ type: 'inspect-result', data: result });
+    })
+    .catch(error => {
+      figma.ui.postMessage({
+        type: 'inspect-result',
+        data: {
+          success: false,
+          message: `Error: ${error.message}`
+        }
+      });
+    });
+  loadConfig().then(postInspectResult);
+  figma.on('selectionchange', postInspectResult);
+
+  figma.ui.onmessage = (msg) => {
+    if (msg.type === 'cancel') {
+      figma.closePlugin();
+    }
+  };
 } else {
-  figma.notify('Este plugin solo funciona en Figma');
+  figma.notify('Este plugin solo funciona en Figma y en Dev Mode');
   figma.closePlugin();
 }